@@ -1,5 +1,8 @@
 "use strict";
 
+const fs = require("fs");
+const yaml = require("js-yaml");
+
 class Chunk {
 
   constructor(id, data) {
@@ -14,10 +17,153 @@ class Chunk {
     return buf.toString(enc);
   }
 
+  get length() {
+    return this.data.length;
+  }
+
+  /**
+   * Resolve to the bytes from start to end of the chunk data.
+   */
+  read(start, end) {
+    return Promise.resolve(this.data.slice(start, end));
+  }
+
+  /**
+   * The bytes from start to end of the chunk data, read synchronously.
+   */
+  readSync(start, end) {
+    return this.data.slice(start, end);
+  }
+
   toString() {
-    return this.id + "[" + this.data.length + "]";
+    return this.id + "[" + this.length + "]";
+  }
+
+  toBuffer(data=this.data) {
+    return chunkBuffer(this.id, [data]);
+  }
+
+}
+
+
+/**
+ * A chunk whose data is only read from an open file when needed.
+ * Accessing the data member reads all of it at once,
+ * while read() only reads the requested range.
+ */
+class FileChunk extends Chunk {
+
+  constructor(id, fd, offset, size) {
+    super(id, null);
+    this.fd = fd;
+    this.offset = offset;
+    this.size = size;
+  }
+
+  get data() {
+    if (!this._data) {
+      this._data = Buffer.alloc(this.size);
+      fs.readSync(this.fd, this._data, 0, this.size, this.offset);
+    }
+    return this._data;
+  }
+
+  set data(buf) {
+    this._data = buf;
+  }
+
+  get length() {
+    return this.size;
+  }
+
+  read(start, end) {
+    if (this._data)
+      return super.read(start, end);
+    end = Math.min(end, this.size);
+    start = Math.min(start, end);
+    return readAt(this.fd, this.offset + start, end - start);
   }
 
+  readSync(start, end) {
+    if (this._data)
+      return super.readSync(start, end);
+    end = Math.min(end, this.size);
+    start = Math.min(start, end);
+    const buf = Buffer.alloc(end - start);
+    fs.readSync(this.fd, buf, 0, buf.length, this.offset + start);
+    return buf;
+  }
+
+}
+
+
+function readAt(fd, pos, len) {
+  const buf = Buffer.alloc(len);
+  return new Promise((resolve, reject) => {
+    const next = done => {
+      if (done === len)
+        return resolve(buf);
+      fs.read(fd, buf, done, len - done, pos + done, (err, n) => {
+        if (err)
+          reject(err);
+        else if (n === 0)
+          resolve(buf.slice(0, done));
+        else
+          next(done + n);
+      });
+    };
+    next(0);
+  });
+}
+
+// Read chunk headers, and the data of all chunks outside of the sdta list.
+function readChunks(fd, pos, end, lazy) {
+  const chunks = [];
+  const next = () => {
+    if (pos >= end)
+      return chunks;
+    if (pos + 8 > end)
+      throw Error("Incomplete chunk header");
+    return readAt(fd, pos, 12).then(head => {
+      let id = head.toString("ascii", 0, 4);
+      let len = head.readUInt32LE(4);
+      if (pos + 8 + len > end) {
+        let idBytes = head.slice(0, 4);
+        if (Buffer.from(id, "ascii").equals(idBytes))
+          throw Error("Incomplete chunk body for id '" + id + "'");
+        throw Error("Incomplete chunk body for id " + idBytes.toString("hex"));
+      }
+      id = id.replace(/ +$/, "");
+      const start = pos + 8;
+      pos += 8 + len + (len & 1);
+      if (id === "RIFF" || id === "LIST") {
+        if (len < 4)
+          throw Error("Missing type name");
+        let type = head.toString("ascii", 8, 12).replace(/ +$/, "");
+        return readChunks(fd, start + 4, start + len, type === "sdta")
+          .then(sub => chunks.push(RIFF.fromChunks(type, sub, id === "LIST")));
+      }
+      if (lazy)
+        return chunks.push(new FileChunk(id, fd, start, len));
+      return readAt(fd, start, len)
+        .then(data => chunks.push(new Chunk(id, data)));
+    }).then(next);
+  };
+  return Promise.resolve().then(next);
+}
+
+
+function chunkBuffer(id, parts) {
+  const head = Buffer.alloc(8, " ");
+  head.write(id, 0, 4, "ascii");
+  let len = 0;
+  for (let part of parts)
+    len += part.length;
+  head.writeUInt32LE(len, 4);
+  parts = [head].concat(parts);
+  if (len & 1)
+    parts.push(Buffer.alloc(1));
+  return Buffer.concat(parts);
 }
 
 
@@ -50,6 +196,17 @@ class RIFF {
     }
   }
 
+  /**
+   * Create a list from chunks which have already been parsed.
+   */
+  static fromChunks(id, chunks, isList) {
+    const res = new this(Buffer.alloc(0), id);
+    res.chunks = chunks;
+    if (isList)
+      res.isList = true;
+    return res;
+  }
+
   chunk_RIFF(data) {
     if (data.length < 4)
       throw Error("Missing type name");
@@ -76,6 +233,20 @@ class RIFF {
     return this._str(this.id, this.chunks.join(", "));
   }
 
+  /**
+   * Serialize the chunk tree into a buffer.
+   * The optional map replaces the data of individual chunks.
+   */
+  toBuffer(replace=new Map()) {
+    const parts = this.chunks.map(c => c instanceof RIFF ?
+      c.toBuffer(replace) : c.toBuffer(replace.get(c)));
+    if (this.id === "")
+      return Buffer.concat(parts);
+    const type = Buffer.alloc(4, " ");
+    type.write(this.id, 0, 4, "ascii");
+    return chunkBuffer(this.isList ? "LIST" : "RIFF", [type].concat(parts));
+  }
+
   firstForName(name) {
     for (let chunk of this.chunks) {
       if (chunk !== null && chunk.id === name)
@@ -180,7 +351,7 @@ class RecordLayout {
 
   enc_z20(buf, pos, val) {
     buf.fill(0, pos, pos + 20);
-    buf.write(val, pos, "binary");
+    buf.write(val, pos, 20, "binary");
   }
 
   dec_u2(buf, pos) {
@@ -207,6 +378,14 @@ class RecordLayout {
     buf.writeUInt32LE(val, pos);
   }
 
+  dec_i4(buf, pos) {
+    return buf.readInt32LE(pos);
+  }
+
+  enc_i4(buf, pos, val) {
+    buf.writeInt32LE(val, pos);
+  }
+
   dec_a2(buf, pos) {
     return {
       ranges: new Range(buf.readInt8(pos), buf.readInt8(pos + 1)),
@@ -222,8 +401,8 @@ class RecordLayout {
     } else if (val.hasOwnProperty("wAmount")) {
       buf.writeUInt16LE(val.wAmount, pos)
     } else if (val.hasOwnProperty("ranges")) {
-      buf.writeInt8(ranges.byLo, pos);
-      buf.writeInt8(ranges.byHi, pos + 1);
+      buf.writeInt8(val.ranges.byLo, pos);
+      buf.writeInt8(val.ranges.byHi, pos + 1);
     } else if (typeof val === "string") {
       let match;
       if ((match = /^(-?\d+)-(-?\d+)$/.exec(val))) {
@@ -364,6 +543,13 @@ class Generator {
     }
   }
 
+  set value(val) {
+    const buf = Buffer.alloc(2);
+    RecordLayout.prototype.enc_a2(
+      buf, 0, val !== null && typeof val === "object" ? {ranges: val} : val);
+    this.genAmount = RecordLayout.prototype.dec_a2(buf, 0);
+  }
+
   toString() {
     return `${this.name}(${this.value})`;
   }
@@ -374,6 +560,41 @@ class Generator {
     return res;
   }
 
+  static toPhysical(name, value) {
+    const unit = Generator.units[name];
+    if (!unit || typeof value !== "number")
+      return value;
+    const conv = Generator.conversions[unit];
+    const x = conv.to(value);
+    for (let p = 1; p <= 6; ++p) {
+      const str = String(+x.toPrecision(p));
+      if (/e/.test(str))
+        break;
+      if (Math.round(conv.from(+str)) === value)
+        return str + unit;
+    }
+    return value; // no lossless representation
+  }
+
+  static fromPhysical(name, value) {
+    if (typeof value !== "string")
+      return value;
+    const match = /^(-?\d*\.?\d+(?:e[-+]?\d+)?) *([a-zA-Z%]+)$/.exec(value);
+    if (!match)
+      return value;
+    let x = +match[1], unit = match[2];
+    if (Generator.unitAliases.hasOwnProperty(unit)) {
+      x *= Generator.unitAliases[unit].factor;
+      unit = Generator.unitAliases[unit].unit;
+    }
+    if (unit !== Generator.units[name])
+      throw Error(`Invalid unit ${match[2]} for generator ${name}`);
+    const res = Math.round(Generator.conversions[unit].from(x));
+    if (!isFinite(res) || res < -32768 || res > 32767)
+      throw Error(`Value ${value} out of range for generator ${name}`);
+    return res;
+  }
+
 }
 
 Generator.names = [
@@ -442,9 +663,289 @@ Generator.names = [
 if (Generator.names.length !== 61)
   throw Error("Error in generator names table");
 
+Generator.units = {
+  initialFilterFc: "Hz",
+  initialFilterQ: "dB",
+  modLfoToVolume: "dB",
+  chorusEffectsSend: "%",
+  reverbEffectsSend: "%",
+  pan: "%",
+  delayModLFO: "s",
+  freqModLFO: "Hz",
+  delayVibLFO: "s",
+  freqVibLFO: "Hz",
+  delayModEnv: "s",
+  attackModEnv: "s",
+  holdModEnv: "s",
+  decayModEnv: "s",
+  sustainModEnv: "%",
+  releaseModEnv: "s",
+  delayVolEnv: "s",
+  attackVolEnv: "s",
+  holdVolEnv: "s",
+  decayVolEnv: "s",
+  sustainVolEnv: "dB",
+  releaseVolEnv: "s",
+  initialAttenuation: "dB",
+};
+
+Generator.conversions = {
+  s: { // timecents
+    to: v => Math.pow(2, v / 1200),
+    from: x => 1200 * Math.log2(x),
+  },
+  Hz: { // absolute cents
+    to: v => 440 * Math.pow(2, (v - 6900) / 1200),
+    from: x => 6900 + 1200 * Math.log2(x / 440),
+  },
+  dB: { // centibels
+    to: v => v / 10,
+    from: x => x * 10,
+  },
+  "%": { // tenths of a percent
+    to: v => v / 10,
+    from: x => x * 10,
+  },
+};
+
+Generator.unitAliases = {
+  ms: {unit: "s", factor: 0.001},
+  kHz: {unit: "Hz", factor: 1000},
+};
+
+// valid ranges of absolute values at instrument level, as [min, max]
+Generator.limits = {
+  startAddrsOffset: [0, Infinity],
+  endAddrsOffset: [-Infinity, 0],
+  startAddrsCoarseOffset: [0, Infinity],
+  modLfoToPitch: [-12000, 12000],
+  vibLfoToPitch: [-12000, 12000],
+  modEnvToPitch: [-12000, 12000],
+  initialFilterFc: [1500, 13500],
+  initialFilterQ: [0, 960],
+  modLfoToFilterFc: [-12000, 12000],
+  modEnvToFilterFc: [-12000, 12000],
+  endAddrsCoarseOffset: [-Infinity, 0],
+  modLfoToVolume: [-960, 960],
+  chorusEffectsSend: [0, 1000],
+  reverbEffectsSend: [0, 1000],
+  pan: [-500, 500],
+  delayModLFO: [-12000, 5000],
+  freqModLFO: [-16000, 4500],
+  delayVibLFO: [-12000, 5000],
+  freqVibLFO: [-16000, 4500],
+  delayModEnv: [-12000, 5000],
+  attackModEnv: [-12000, 8000],
+  holdModEnv: [-12000, 5000],
+  decayModEnv: [-12000, 8000],
+  sustainModEnv: [0, 1000],
+  releaseModEnv: [-12000, 8000],
+  keynumToModEnvHold: [-1200, 1200],
+  keynumToModEnvDecay: [-1200, 1200],
+  delayVolEnv: [-12000, 5000],
+  attackVolEnv: [-12000, 8000],
+  holdVolEnv: [-12000, 5000],
+  decayVolEnv: [-12000, 8000],
+  sustainVolEnv: [0, 1440],
+  releaseVolEnv: [-12000, 8000],
+  keynumToVolEnvHold: [-1200, 1200],
+  keynumToVolEnvDecay: [-1200, 1200],
+  keynum: [-1, 127],
+  velocity: [-1, 127],
+  initialAttenuation: [0, 1440],
+  coarseTune: [-120, 120],
+  fineTune: [-99, 99],
+  scaleTuning: [0, 1200],
+  exclusiveClass: [0, 127],
+  overridingRootKey: [-1, 127],
+};
+
+// whether a generator is part of the values resolved for a voice
+Generator.resolved = Generator.names.map((name, i) =>
+  !/^(unused|reserved|endOper)/.test(name) &&
+  ["range", "index"].indexOf(new Generator({sfGenOper: i}).kind) === -1);
+
+// default values of generators other than zero
+Generator.defaults = {};
+{
+  const gens = yaml.safeLoad(
+    fs.readFileSync(require.resolve("./defaults.yaml"))).gens;
+  for (let name of Object.keys(gens))
+    if (typeof gens[name] === "number" && gens[name])
+      Generator.defaults[name] = gens[name];
+}
+
+class Modulator {
+
+  static symbolic(rec) {
+    return {
+      sfModSrcOper: Modulator.decodeSource(rec.sfModSrcOper),
+      sfModDestOper: Modulator.decodeDest(rec.sfModDestOper),
+      modAmount: rec.modAmount,
+      sfModAmtSrcOper: Modulator.decodeSource(rec.sfModAmtSrcOper),
+      sfModTransOper: Modulator.decodeTransform(rec.sfModTransOper),
+    };
+  }
+
+  static numeric(mod) {
+    return {
+      sfModSrcOper: Modulator.encodeSource(mod.sfModSrcOper),
+      sfModDestOper: Modulator.encodeDest(mod.sfModDestOper),
+      modAmount: mod.modAmount,
+      sfModAmtSrcOper: Modulator.encodeSource(mod.sfModAmtSrcOper),
+      sfModTransOper: Modulator.encodeTransform(mod.sfModTransOper),
+    };
+  }
+
+  static decodeSource(val) {
+    const index = val & 0x7f;
+    const type = val >> 10;
+    const controller = (val & 0x80) ? "cc" + index :
+          Modulator.controllers[index];
+    if (!controller || type >= Modulator.curves.length)
+      return val;
+    const res = {controller};
+    if (val & 0x100) res.direction = "maxToMin";
+    if (val & 0x200) res.polarity = "bipolar";
+    if (type) res.curve = Modulator.curves[type];
+    return res;
+  }
+
+  static encodeSource(src) {
+    if (typeof src === "number")
+      return src;
+    let res, match;
+    if ((match = /^cc(\d+)$/.exec(src.controller)) && +match[1] < 128) {
+      res = 0x80 | +match[1];
+    } else {
+      res = Object.keys(Modulator.controllers).find(
+        i => Modulator.controllers[i] === src.controller);
+      if (res === undefined)
+        throw Error("Unknown modulator source controller: " + src.controller);
+      res = +res;
+    }
+    const direction = src.direction || "minToMax";
+    if (direction === "maxToMin")
+      res |= 0x100;
+    else if (direction !== "minToMax")
+      throw Error("Unknown modulator source direction: " + direction);
+    const polarity = src.polarity || "unipolar";
+    if (polarity === "bipolar")
+      res |= 0x200;
+    else if (polarity !== "unipolar")
+      throw Error("Unknown modulator source polarity: " + polarity);
+    const curve = Modulator.curves.indexOf(src.curve || "linear");
+    if (curve < 0)
+      throw Error("Unknown modulator source curve: " + src.curve);
+    return res | (curve << 10);
+  }
+
+  static decodeDest(val) {
+    if (val & 0x8000)
+      return {link: val & 0x7fff};
+    return Generator.names[val] || val;
+  }
+
+  static encodeDest(dest) {
+    if (typeof dest === "number")
+      return dest;
+    if (typeof dest === "string") {
+      const res = Generator.names.indexOf(dest);
+      if (res < 0)
+        throw Error("Unknown modulator destination: " + dest);
+      return res;
+    }
+    if (dest.hasOwnProperty("link"))
+      return 0x8000 | dest.link;
+    throw Error("Unknown modulator destination representation: " + dest);
+  }
+
+  static decodeTransform(val) {
+    return Modulator.transforms[val] || val;
+  }
+
+  static encodeTransform(trans) {
+    if (typeof trans === "number")
+      return trans;
+    const res = Object.keys(Modulator.transforms).find(
+      i => Modulator.transforms[i] === trans);
+    if (res === undefined)
+      throw Error("Unknown modulator transform: " + trans);
+    return +res;
+  }
+
+}
+
+Modulator.controllers = {
+  0: "none",
+  2: "noteOnVelocity",
+  3: "noteOnKey",
+  10: "polyPressure",
+  13: "channelPressure",
+  14: "pitchWheel",
+  16: "pitchWheelSensitivity",
+  127: "link",
+};
+
+Modulator.curves = ["linear", "concave", "convex", "switch"];
+
+Modulator.transforms = {
+  0: "linear",
+  2: "absolute",
+};
+
+// implicit modulators of every instrument zone, see section 8.4
+Modulator.defaults = [
+  [0x0502, 48, 960, 0], // velocity to initialAttenuation
+  [0x0102, 8, -2400, 0], // velocity to initialFilterFc
+  [0x000d, 6, 50, 0], // channel pressure to vibLfoToPitch
+  [0x0081, 6, 50, 0], // modulation wheel to vibLfoToPitch
+  [0x0587, 48, 960, 0], // volume to initialAttenuation
+  [0x028a, 17, 1000, 0], // pan
+  [0x058b, 48, 960, 0], // expression to initialAttenuation
+  [0x00db, 16, 200, 0], // reverbEffectsSend
+  [0x00dd, 15, 200, 0], // chorusEffectsSend
+  [0x020e, 59, 12700, 0x0010], // pitch wheel to pitch, times sensitivity
+].map(([src, dest, amount, amtSrc]) => ({
+  sfModSrcOper: src,
+  sfModDestOper: dest,
+  modAmount: amount,
+  sfModAmtSrcOper: amtSrc,
+  sfModTransOper: 0,
+}));
+
 
 class SF2 extends RIFF {
 
+  /**
+   * Parse an SF2 file without reading all of it into memory.
+   * Only the chunk headers and the metadata are read up front,
+   * sample data is read from the file as needed.
+   * The file stays open until close() is called.
+   */
+  static open(file) {
+    return new Promise((resolve, reject) => fs.open(file, "r", (err, fd) =>
+      err ? reject(err) : resolve(fd)
+    )).then(fd => new Promise((resolve, reject) => fs.fstat(fd, (err, st) =>
+      err ? reject(err) : resolve(st.size)
+    )).then(size => readChunks(fd, 0, size, false)).then(chunks => {
+      const res = SF2.fromChunks("", chunks);
+      res.fd = fd;
+      return res;
+    }, err => new Promise(resolve => fs.close(fd, resolve)).then(() => {
+      throw err;
+    })));
+  }
+
+  close() {
+    const fd = this.fd;
+    if (fd === undefined)
+      return Promise.resolve();
+    delete this.fd;
+    return new Promise((resolve, reject) => fs.close(fd, err =>
+      err ? reject(err) : resolve()));
+  }
+
   get pdta() {
     if (this._pdta) return this._pdta;
     return this._pdta = this.chunks[0].firstForName("pdta");
@@ -526,6 +1027,128 @@ class SF2 extends RIFF {
     });
   }
 
+  /**
+   * Find the voices which sound when the given key is played
+   * with the given velocity on preset bank:program.
+   * See presetVoices for a description of the voices.
+   */
+  resolve(bank, program, key, velocity) {
+    const p = this.phdr.find(p => p.wBank === bank && p.wPreset === program);
+    if (!p)
+      return [];
+    return this.presetVoices(p).filter(v =>
+      key >= v.keyRange.byLo && key <= v.keyRange.byHi &&
+      velocity >= v.velRange.byLo && velocity <= v.velRange.byHi);
+  }
+
+  /**
+   * List all combinations of a zone of preset header p
+   * with a zone of the instrument it selects whose ranges overlap,
+   * following the layering rules of the specification.
+   * Each voice has the preset, instrument and sample headers,
+   * the index of the presetZone among the zones of the preset,
+   * the intersection of the key and velocity ranges of its zones,
+   * the absolute values of all generators, with the preset values
+   * added to those of the instrument and defaults filled in,
+   * and the modulators: the default ones as overridden
+   * by the instrument, followed by those of the preset,
+   * whose contributions add up. Generator values are not clipped,
+   * as the valid ranges apply to the values after modulation.
+   */
+  presetVoices(p) {
+    const res = [];
+    const preset = splitZones(p.zones, 41);
+    for (let pz of preset.local) {
+      const pranges = zoneRanges(preset.global, pz);
+      const inst = this.inst[zoneTarget(pz, 41)];
+      if (!inst)
+        continue;
+      const pgens = zoneGens(preset.global, pz);
+      const pmods = zoneMods(preset.global, pz, []);
+      const instrument = splitZones(inst.zones, 53);
+      for (let iz of instrument.local) {
+        const iranges = zoneRanges(instrument.global, iz);
+        const sample = this.shdr[zoneTarget(iz, 53)];
+        const keyRange = intersect(pranges[0], iranges[0]);
+        const velRange = intersect(pranges[1], iranges[1]);
+        if (!sample || keyRange.byLo > keyRange.byHi ||
+            velRange.byLo > velRange.byHi)
+          continue;
+        const gens = {};
+        zoneGens(instrument.global, iz).forEach((v, i) => {
+          const g = new Generator({sfGenOper: i});
+          if (!Generator.resolved[i])
+            return;
+          if (v === undefined)
+            v = Generator.defaults[g.name] || 0;
+          // preset level values are relative, except for sample related ones
+          if (pgens[i] !== undefined && g.kind === "value")
+            v += pgens[i];
+          gens[g.name] = v;
+        });
+        res.push({
+          preset: p,
+          instrument: inst,
+          sample,
+          presetZone: p.zones.indexOf(pz),
+          keyRange,
+          velRange,
+          gens,
+          mods: zoneMods(instrument.global, iz, Modulator.defaults)
+            .concat(pmods),
+        });
+      }
+    }
+    return res;
+  }
+
+  /**
+   * Serialize the soundfont into a buffer.
+   * The pdta records are rebuilt from the parsed headers, zones,
+   * generators and modulators, so changes to these are included.
+   * Index fields are recomputed from the zone structure.
+   */
+  toBuffer() {
+    const pdta = this.pdta;
+    const replace = new Map();
+    if (pdta) {
+      const records = Object.assign(
+        {shdr: this.shdr.concat([this.shdr.sf2Terminator])},
+        this._flatten(SF2.hierarchy.preset),
+        this._flatten(SF2.hierarchy.instrument));
+      for (let c of pdta.chunks)
+        if (records.hasOwnProperty(c.id) && !(c instanceof RIFF))
+          replace.set(c, RecordLayout[c.id].write(c.id, records[c.id])
+                      .slice(8));
+    }
+    return super.toBuffer(replace);
+  }
+
+  _flatten(h) {
+    const hdrs = this[h.hdr], bags = this[h.bag];
+    const hdr = [], bag = [], gen = [], mod = [];
+    for (let rec of hdrs.concat([hdrs.sf2Terminator])) {
+      hdr.push(Object.assign({}, rec, {[h.bagNdx]: bag.length}));
+      for (let z of rec.zones || []) {
+        bag.push(Object.assign({}, z, {
+          [h.genNdx]: gen.length,
+          [h.modNdx]: mod.length,
+        }));
+        gen.push.apply(gen, z.gens);
+        mod.push.apply(mod, z.mods);
+      }
+    }
+    const term = bags.sf2Terminator;
+    bag.push(Object.assign({}, term, {
+      [h.genNdx]: gen.length,
+      [h.modNdx]: mod.length,
+    }));
+    // records following the last zone, i.e. the terminal records
+    gen.push.apply(gen, this[h.gen].slice(term[h.genNdx]));
+    mod.push.apply(mod, this[h.mod].slice(term[h.modNdx]));
+    return {[h.hdr]: hdr, [h.bag]: bag, [h.gen]: gen, [h.mod]: mod};
+  }
+
   _localZones(zones, local, link) {
     if (!zones.length) return [];
     zones = zones.map(z => {
@@ -556,9 +1179,80 @@ class SF2 extends RIFF {
 
 }
 
+// Separate the global zone, if any, from the zones having a target.
+function splitZones(zones, oper) {
+  const local = zones.filter(z => zoneTarget(z, oper) !== undefined);
+  const global = zones.length && zoneTarget(zones[0], oper) === undefined ?
+        zones[0] : null;
+  return {global, local};
+}
+
+function zoneTarget(zone, oper) {
+  const g = zone.gens.find(g => g.sfGenOper === oper);
+  return g && g.value;
+}
+
+// key and velocity range of a zone, possibly inherited from the global zone
+function zoneRanges(global, local) {
+  return [43, 44].map(oper => {
+    for (let z of [local, global]) {
+      const g = z && z.gens.find(g => g.sfGenOper === oper);
+      if (g)
+        return g.value;
+    }
+    return new Range(0, 127);
+  });
+}
+
+function intersect(a, b) {
+  return new Range(Math.max(a.byLo, b.byLo), Math.min(a.byHi, b.byHi));
+}
+
+// Generators of the local zone override those of the global zone.
+function zoneGens(global, local) {
+  const res = new Array(Generator.names.length).fill(undefined);
+  for (let z of [global, local])
+    for (let g of z ? z.gens : [])
+      if (g.kind !== "range" && g.kind !== "index")
+        res[g.sfGenOper] = g.value;
+  return res;
+}
+
+// Modulators replace identical ones of a less specific level.
+function zoneMods(global, local, base) {
+  const res = base.slice();
+  for (let z of [global, local]) {
+    for (let m of z ? z.mods : []) {
+      const i = res.findIndex(r =>
+        r.sfModSrcOper === m.sfModSrcOper &&
+        r.sfModDestOper === m.sfModDestOper &&
+        r.sfModAmtSrcOper === m.sfModAmtSrcOper &&
+        r.sfModTransOper === m.sfModTransOper);
+      if (i === -1)
+        res.push(m);
+      else
+        res[i] = m;
+    }
+  }
+  return res;
+}
+
+SF2.hierarchy = {
+  preset: {
+    hdr: "phdr", bag: "pbag", gen: "pgen", mod: "pmod",
+    bagNdx: "wPresetBagNdx", genNdx: "wGenNdx", modNdx: "wModNdx",
+  },
+  instrument: {
+    hdr: "inst", bag: "ibag", gen: "igen", mod: "imod",
+    bagNdx: "wInstBagNdx", genNdx: "wInstGenNdx", modNdx: "wInstModNdx",
+  },
+};
+
 
 module.exports.Chunk = Chunk;
+module.exports.FileChunk = FileChunk;
 module.exports.Generator = Generator;
+module.exports.Modulator = Modulator;
 module.exports.RIFF = RIFF;
 module.exports.Range = Range;
 module.exports.RecordLayout = RecordLayout;
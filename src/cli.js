@@ -0,0 +1,573 @@
+#!/usr/bin/env node
+"use strict";
+
+const fs = require("fs");
+
+const sfu = require("./index");
+const merge3 = require("./merge3");
+
+const commonOptions = {
+  help: {short: "h", desc: "show usage information"},
+  quiet: {short: "q", desc: "only print errors"},
+  verbose: {short: "v", desc: "print progress information"},
+};
+
+const decompileOptions = {
+  format: {arg: "wav|flac", desc: "file format for sample data"},
+  stereo: {desc: "store linked left/right samples as stereo files"},
+  units: {desc: "represent generator values in physical units"},
+  encoding: {arg: "name", desc: "character encoding of names and INFO"},
+};
+
+const commands = {
+
+  decompile: {
+    args: "<file.sf2> [<dir>]",
+    minArgs: 1, maxArgs: 2,
+    desc: "Convert an SF2 file to its YAML representation",
+    options: Object.assign({
+      verify: {desc: "check that the result compiles back to the input"},
+    }, decompileOptions),
+    run: (args, opts, log) => {
+      const dir = args[1] || "out/";
+      log.verbose("Decompiling " + args[0] + " to " + dir);
+      const options = genOptions(opts, log);
+      options.verify = !!opts.verify;
+      return sfu.sf2ToYaml(args[0], dir, options).then(() => {
+        if (opts.verify)
+          log.verbose("Round trip verified");
+        return 0;
+      });
+    },
+  },
+
+  compile: {
+    args: "<dir> [<file.sf2>]",
+    minArgs: 1, maxArgs: 2,
+    desc: "Compile a YAML representation to an SF2 file",
+    options: {},
+    run: (args, opts, log) => {
+      const out = args[1] || "out.sf2";
+      log.verbose("Compiling " + args[0] + " to " + out);
+      return sfu.yamlToSf2File(args[0], out, {warn: log.warn})
+        .then(() => 0);
+    },
+  },
+
+  merge: {
+    args: "<old-dir> <new-dir> <out-dir>",
+    minArgs: 3, maxArgs: 3,
+    desc: "Write the content of new-dir using the order from old-dir",
+    options: {},
+    run: (args, opts, log) => {
+      log.verbose("Merging " + args[1] + " into order of " + args[0]);
+      return sfu.mergeYaml(args[0], args[1], args[2]).then(() => 0);
+    },
+  },
+
+  merge3: {
+    args: "<base-dir> <our-dir> <their-dir> [<out-dir>]",
+    minArgs: 3, maxArgs: 4,
+    desc: "Three-way merge of YAML directories",
+    options: {
+      json: {desc: "report conflicts as JSON"},
+    },
+    run: (args, opts, log) => {
+      const out = args[3] || args[1];
+      log.verbose("Merging " + args[1] + " and " + args[2] + " into " + out);
+      return sfu.mergeYaml3(args[0], args[1], args[2], out)
+        .then(conflicts => reportConflicts(conflicts, opts, log));
+    },
+  },
+
+  "merge-file": {
+    args: "<base> <ours> <theirs> <path>",
+    minArgs: 4, maxArgs: 4,
+    desc: "Three-way merge of a single file, usable as git merge driver",
+    options: {
+      json: {desc: "report conflicts as JSON"},
+    },
+    run: (args, opts, log) => Promise.all(args.slice(0, 3).map(readFile))
+      .then(([base, ours, theirs]) => {
+        const res = merge3.mergeFile(base, ours, theirs, args[3]);
+        return writeFile(args[1], res.content || "")
+          .then(() => reportConflicts(res.conflicts, opts, log));
+      }),
+  },
+
+  diff: {
+    args: "<old> <new> | --textconv <file>",
+    minArgs: 1, maxArgs: 2,
+    desc: "Compare two soundfonts semantically",
+    options: {
+      json: {desc: "report changes as JSON"},
+      textconv: {desc: "print a canonical text form of a single soundfont"},
+      units: decompileOptions.units,
+      encoding: decompileOptions.encoding,
+    },
+    run: (args, opts, log) => {
+      const options = genOptions(opts, log);
+      if (opts.textconv) {
+        if (args.length !== 1)
+          throw Error("--textconv takes a single soundfont");
+        return sfu.textconv(args[0], options)
+          .then(text => process.stdout.write(text))
+          .then(() => 0);
+      }
+      if (args.length !== 2)
+        throw Error("Two soundfonts required for comparison");
+      return sfu.diff(args[0], args[1], options).then(changes => {
+        if (opts.json)
+          console.log(JSON.stringify(changes, null, 2));
+        else
+          process.stdout.write(sfu.formatDiff(changes));
+        return changes.length ? 1 : 0;
+      });
+    },
+  },
+
+  info: {
+    args: "<file.sf2|dir>",
+    minArgs: 1, maxArgs: 1,
+    desc: "Print metadata and a summary of a soundfont",
+    options: {
+      encoding: decompileOptions.encoding,
+    },
+    run: (args, opts, log) => stat(args[0])
+      .then(st => st.isDirectory() ?
+            dirInfo(args[0], log) : sf2Info(args[0], opts, log))
+      .then(() => 0),
+  },
+
+  validate: {
+    args: "<file.sf2|dir>",
+    minArgs: 1, maxArgs: 1,
+    desc: "Check a soundfont against the SoundFont specification",
+    options: {
+      strict: {desc: "fail on warnings as well as errors"},
+    },
+    run: (args, opts, log) => sfu.validate(args[0]).then(issues => {
+      let errors = 0, warnings = 0;
+      for (let issue of issues) {
+        if (issue.severity === "error") {
+          ++errors;
+          console.log(String(issue));
+        } else {
+          ++warnings;
+          if (log.level >= 1)
+            console.log(String(issue));
+        }
+      }
+      log.verbose(`${errors} errors, ${warnings} warnings`);
+      return errors || (opts.strict && warnings) ? 1 : 0;
+    }),
+  },
+
+  verify: {
+    args: "<file.sf2>",
+    minArgs: 1, maxArgs: 1,
+    desc: "Check that an SF2 file survives a round trip through YAML",
+    options: decompileOptions,
+    run: (args, opts, log) =>
+      sfu.verifyRoundTrip(args[0], null, genOptions(opts, log))
+        .then(res => {
+          if (!res.difference) {
+            log.info(args[0] + ": round trip OK");
+            return 0;
+          }
+          log.info(args[0] + ": round trip differs at " +
+                   res.difference.message);
+          return 1;
+        }),
+  },
+
+  note: {
+    args: "<file.sf2|dir> [<out.wav>]",
+    minArgs: 1, maxArgs: 2,
+    desc: "Render a single note of a preset to a WAV file",
+    options: {
+      preset: {arg: "bank:program", desc: "preset to play (default 0:0)"},
+      key: {arg: "n", desc: "MIDI key number (default 60)"},
+      velocity: {arg: "n", desc: "note-on velocity (default 100)"},
+      duration: {arg: "seconds", desc: "time the key is held (default 1)"},
+      rate: {arg: "Hz", desc: "output sample rate (default 44100)"},
+      bits: {arg: "16|24", desc: "bits per sample (default 16)"},
+    },
+    run: (args, opts, log) => {
+      const out = args[1] || "out.wav";
+      const options = {
+        key: opts.key,
+        velocity: opts.velocity,
+        duration: opts.duration,
+        sampleRate: opts.rate,
+        warn: log.warn,
+      };
+      if (opts.preset) {
+        const match = /^(?:(\d+):)?(\d+)$/.exec(opts.preset);
+        if (!match)
+          throw Error("Invalid preset: " + opts.preset);
+        options.bank = +(match[1] || 0);
+        options.program = +match[2];
+      }
+      log.verbose("Rendering " + args[0] + " to " + out);
+      return sfu.renderNote(args[0], options)
+        .then(audio => writeFile(out, sfu.toWav(audio, +(opts.bits || 16))))
+        .then(() => 0);
+    },
+  },
+
+  render: {
+    args: "<song.mid> <file.sf2|dir> [<out.wav>]",
+    minArgs: 2, maxArgs: 3,
+    desc: "Render a Standard MIDI File to a WAV file",
+    options: {
+      rate: {arg: "Hz", desc: "output sample rate (default 44100)"},
+      bits: {arg: "16|24", desc: "bits per sample (default 16)"},
+      polyphony: {arg: "n", desc: "maximum number of voices (default 256)"},
+    },
+    run: (args, opts, log) => {
+      const out = args[2] || "out.wav";
+      log.verbose("Rendering " + args[0] + " with " + args[1] + " to " + out);
+      return sfu.renderMidi(args[0], args[1], {
+        sampleRate: opts.rate,
+        polyphony: opts.polyphony,
+        warn: log.warn,
+      }).then(audio => writeFile(out, sfu.toWav(audio, +(opts.bits || 16))))
+        .then(() => 0);
+    },
+  },
+
+  sfz: {
+    args: "<file.sf2|dir> [<outdir>]",
+    minArgs: 1, maxArgs: 2,
+    desc: "Export the presets of a soundfont as SFZ files",
+    options: {
+      encoding: decompileOptions.encoding,
+    },
+    run: (args, opts, log) => {
+      const out = args[1] || "sfz";
+      log.verbose("Exporting " + args[0] + " to " + out);
+      return sfu.sf2ToSfz(args[0], out, genOptions(opts, log)).then(report => {
+        for (let r of report)
+          log.info([r.file, r.region, r.message]
+                   .filter(x => x !== null).join(": "));
+        log.verbose(report.length + " items not converted");
+        return 0;
+      });
+    },
+  },
+
+  "import-sfz": {
+    args: "<file.sfz>... <out.sf2|dir>",
+    minArgs: 2, maxArgs: Infinity,
+    desc: "Convert SFZ files to an SF2 file or a YAML representation",
+    options: Object.assign({
+      preset: {arg: "bank:program", desc: "number of the first preset"},
+    }, decompileOptions),
+    run: (args, opts, log) => {
+      const out = args[args.length - 1], files = args.slice(0, -1);
+      const options = genOptions(opts, log);
+      if (opts.preset) {
+        const match = /^(?:(\d+):)?(\d+)$/.exec(opts.preset);
+        if (!match)
+          throw Error("Invalid preset: " + opts.preset);
+        options.bank = +(match[1] || 0);
+        options.program = +match[2];
+      }
+      log.verbose("Importing " + files.join(", ") + " to " + out);
+      if (/\.sf2$/i.test(out))
+        return sfu.sfzToSf2(files, options)
+          .then(buf => writeFile(out, buf)).then(() => 0);
+      return sfu.sfzToYaml(files, out, options).then(() => 0);
+    },
+  },
+
+  dls: {
+    args: "<file.sf2|dir> <out.dls>",
+    minArgs: 2, maxArgs: 2,
+    desc: "Export a soundfont as DLS file",
+    options: {
+      level: {arg: "1|2", desc: "DLS level (default 2)"},
+      encoding: decompileOptions.encoding,
+    },
+    run: (args, opts, log) => {
+      const options = genOptions(opts, log);
+      if (opts.level !== undefined)
+        options.level = opts.level;
+      log.verbose("Exporting " + args[0] + " to " + args[1]);
+      return sfu.sf2ToDls(args[0], args[1], options).then(report => {
+        for (let r of report)
+          log.info([r.instrument, r.region, r.message]
+                   .filter(x => x !== null).join(": "));
+        log.verbose(report.length + " items not converted");
+        return 0;
+      });
+    },
+  },
+
+  "import-dls": {
+    args: "<file.dls> <out.sf2|dir>",
+    minArgs: 2, maxArgs: 2,
+    desc: "Convert a DLS file to an SF2 file or a YAML representation",
+    options: decompileOptions,
+    run: (args, opts, log) => {
+      const options = genOptions(opts, log);
+      log.verbose("Importing " + args[0] + " to " + args[1]);
+      if (/\.sf2$/i.test(args[1]))
+        return sfu.dlsToSf2(args[0], options)
+          .then(buf => writeFile(args[1], buf)).then(() => 0);
+      return sfu.dlsToYaml(args[0], args[1], options).then(() => 0);
+    },
+  },
+
+  subset: {
+    args: "<file.sf2|dir> <out.sf2|dir> <selector>...",
+    minArgs: 3, maxArgs: Infinity,
+    desc: "Extract presets with the instruments and samples they use",
+    options: decompileOptions,
+    run: (args, opts, log) => {
+      const out = args[1];
+      const options = genOptions(opts, log);
+      return sfu.subset(args[0], args.slice(2), options).then(font => {
+        for (let p of font.presets)
+          log.verbose("  " + presetLabel(
+            {wBank: p.bank, wPreset: p.preset}, p.name));
+        log.verbose(`${font.presets.length} presets, ` +
+                    `${font.instruments.length} instruments, ` +
+                    `${font.samples.length} samples`);
+        if (/\.sf2$/i.test(out))
+          return writeFile(out, font.toBuffer(options));
+        return font.toYaml(out, options);
+      }).then(() => 0);
+    },
+  },
+
+};
+
+function reportConflicts(conflicts, opts, log) {
+  if (opts.json) {
+    console.log(JSON.stringify(conflicts, (k, v) =>
+      v && v.type === "Buffer" ? "(binary)" : v, 2));
+  } else {
+    for (let c of conflicts)
+      log.info("Conflict in " + merge3.describe(c));
+  }
+  return conflicts.length ? 1 : 0;
+}
+
+function genOptions(opts, log) {
+  const res = {warn: log.warn};
+  for (let k of Object.keys(decompileOptions))
+    if (opts.hasOwnProperty(k))
+      res[k] = opts[k];
+  return res;
+}
+
+function sf2Info(file, opts, log) {
+  return sfu.SF2.SF2.open(file).then(sf2 => {
+    const gen = new sfu.YamlGen(sf2, null, genOptions(opts, log));
+    printInfo(gen.info(), log);
+    log.info("Presets: " + sf2.phdr.length);
+    for (let p of sf2.phdr)
+      log.verbose("  " + presetLabel(p, gen.text(p.achPresetName)));
+    log.info("Instruments: " + sf2.inst.length);
+    log.info("Samples: " + sf2.shdr.length);
+    return sf2.close();
+  });
+}
+
+function dirInfo(dir, log) {
+  const parse = new sfu.YamlParse(dir);
+  return Promise.all([
+    parse.readYaml("INFO"),
+    parse.readYaml("phdr"),
+    parse.readYaml("inst"),
+    parse.readYaml("shdr"),
+  ]).then(([info, phdr, inst, shdr]) => {
+    printInfo(info, log);
+    log.info("Presets: " + phdr.length);
+    const presets = log.level < 2 ? [] :
+          phdr.map(name => parse.readYaml("presets/" + name));
+    return Promise.all(presets).then(presets => {
+      for (let p of presets)
+        log.verbose("  " + presetLabel(p, p.achPresetName));
+      log.info("Instruments: " + inst.length);
+      log.info("Samples: " + shdr.length);
+    });
+  });
+}
+
+function printInfo(info, log) {
+  for (let k of Object.keys(info)) {
+    let v = info[k];
+    if (v.hasOwnProperty("wMajor"))
+      v = v.wMajor + "." + v.wMinor;
+    else if (v.hasOwnProperty("hex"))
+      v = "<" + v.hex.length / 2 + " bytes>";
+    else if (v.hasOwnProperty("text"))
+      v = v.text;
+    log.info(k + ": " + v);
+  }
+}
+
+function presetLabel(p, name) {
+  const pad = n => ("00" + n).slice(-3);
+  return pad(p.wBank) + ":" + pad(p.wPreset) + " " + name;
+}
+
+class Log {
+
+  constructor(level) {
+    this.level = level;
+    this.warn = this.warn.bind(this);
+  }
+
+  info(msg) {
+    if (this.level >= 1) console.log(msg);
+  }
+
+  verbose(msg) {
+    if (this.level >= 2) console.log(msg);
+  }
+
+  warn(msg) {
+    if (this.level >= 1) console.error("Warning: " + msg);
+  }
+
+  error(msg) {
+    console.error("Error: " + msg);
+  }
+
+}
+
+function parseArgs(argv, options) {
+  const res = {args: [], opts: {}};
+  const byShort = {};
+  for (let k of Object.keys(options))
+    if (options[k].short)
+      byShort[options[k].short] = k;
+  for (let i = 0; i < argv.length; ++i) {
+    const arg = argv[i];
+    let name, value;
+    let match = /^--([\w-]+)(?:=(.*))?$/.exec(arg);
+    if (match) {
+      name = match[1];
+      value = match[2];
+    } else if ((match = /^-(\w)$/.exec(arg))) {
+      name = byShort[match[1]];
+      if (!name)
+        throw Error("Unknown option: " + arg);
+    } else if (arg === "--") {
+      res.args.push.apply(res.args, argv.slice(i + 1));
+      break;
+    } else {
+      res.args.push(arg);
+      continue;
+    }
+    const opt = options[name];
+    if (!opt)
+      throw Error("Unknown option: --" + name);
+    if (!opt.arg) {
+      if (value !== undefined)
+        throw Error("Option --" + name + " takes no value");
+      value = true;
+    } else if (value === undefined) {
+      if (++i === argv.length)
+        throw Error("Option --" + name + " requires a value");
+      value = argv[i];
+    }
+    res.opts[name] = value;
+  }
+  return res;
+}
+
+function optionHelp(options) {
+  return Object.keys(options).map(k => {
+    const o = options[k];
+    let s = (o.short ? "-" + o.short + ", " : "    ") + "--" + k;
+    if (o.arg) s += "=<" + o.arg + ">";
+    return "  " + s + " ".repeat(Math.max(1, 28 - s.length)) + o.desc;
+  }).join("\n");
+}
+
+function usage(name) {
+  const prog = "soundfontutils";
+  if (!name) {
+    return "Usage: " + prog + " <command> [<options>] <args>\n\n" +
+      "Commands:\n" +
+      Object.keys(commands).map(k =>
+        "  " + k + " ".repeat(12 - k.length) + commands[k].desc).join("\n") +
+      "\n\nOptions:\n" + optionHelp(commonOptions) + "\n\n" +
+      "Run '" + prog + " <command> --help' for details on a command.";
+  }
+  const cmd = commands[name];
+  const options = Object.assign({}, cmd.options, commonOptions);
+  return "Usage: " + prog + " " + name + " [<options>] " + cmd.args + "\n\n" +
+    cmd.desc + "\n\nOptions:\n" + optionHelp(options);
+}
+
+/**
+ * Run the command line tool with the given arguments.
+ * Resolves to the exit code: 0 on success, 1 on failure
+ * and 2 for invalid usage.
+ */
+function main(argv) {
+  // common options may precede the command name
+  const pos = argv.findIndex(arg => !/^-/.test(arg));
+  const name = pos === -1 ? undefined : argv[pos];
+  const rest = pos === -1 ? argv :
+        argv.slice(0, pos).concat(argv.slice(pos + 1));
+  const cmd = commands.hasOwnProperty(name) ? commands[name] : null;
+  let parsed;
+  try {
+    if (!cmd) {
+      parsed = parseArgs(rest, commonOptions);
+      if (parsed.opts.help && !parsed.args.length) {
+        console.log(usage());
+        return Promise.resolve(0);
+      }
+      throw Error(name ? "Unknown command: " + name : "No command given");
+    }
+    parsed = parseArgs(rest,
+                       Object.assign({}, cmd.options, commonOptions));
+    if (parsed.opts.help) {
+      console.log(usage(name));
+      return Promise.resolve(0);
+    }
+    if (parsed.args.length < cmd.minArgs || parsed.args.length > cmd.maxArgs)
+      throw Error("Wrong number of arguments");
+  } catch (err) {
+    console.error("Error: " + err.message + "\n\n" + usage(cmd && name));
+    return Promise.resolve(2);
+  }
+  const opts = parsed.opts;
+  const log = new Log(opts.quiet ? 0 : opts.verbose ? 2 : 1);
+  return Promise.resolve()
+    .then(() => cmd.run(parsed.args, opts, log))
+    .catch(err => {
+      log.error(log.level >= 2 && err.stack || err.message);
+      return 1;
+    });
+}
+
+function readFile(name) {
+  return new Promise((resolve, reject) => fs.readFile(
+    name, (err, buf) => err ? reject(err) : resolve(buf)));
+}
+
+function writeFile(name, data) {
+  return new Promise((resolve, reject) => fs.writeFile(
+    name, data, err => err ? reject(err) : resolve()));
+}
+
+function stat(name) {
+  return new Promise((resolve, reject) => fs.stat(
+    name, (err, st) => err ? reject(err) : resolve(st)));
+}
+
+module.exports.commands = commands;
+module.exports.main = main;
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => process.exitCode = code);
+}
@@ -0,0 +1,346 @@
+"use strict";
+
+/*
+ * Semantic comparison of two soundfonts.
+ * Presets are matched by bank and program number,
+ * instruments and samples by name or, failing that, by content.
+ * Within presets and instruments, zones are matched by key range,
+ * velocity range and target, generators by name and modulators
+ * by sources and destination, so that mere reordering is not reported.
+ */
+
+const crypto = require("crypto");
+
+const YamlGen = require("./sf2toyaml").YamlGen;
+const merge3 = require("./merge3");
+
+function sha1(buf) {
+  const h = crypto.createHash("sha1");
+  h.update(buf);
+  return h.digest("hex");
+}
+
+function pad(n) {
+  return ("00" + n).slice(-3);
+}
+
+/**
+ * Describe a parsed SF2 file in terms of its YAML representation,
+ * with presets, instruments and samples in maps keyed by identity.
+ */
+function model(sf2, options={}) {
+  const gen = new YamlGen(sf2, null, {
+    units: options.units,
+    encoding: options.encoding,
+  });
+  const sdta = sf2.chunks[0].firstForName("sdta");
+  const smpl = sdta && sdta.firstForName("smpl");
+  const sm24 = sdta && sdta.firstForName("sm24");
+  const res = {
+    info: gen.info(),
+    presets: new Map(),
+    instruments: new Map(),
+    samples: new Map(),
+  };
+  for (let s of sf2.shdr) {
+    const data = gen.sample(s);
+    if (!(s.sfSampleType & 0x8000) && smpl) {
+      data.sdta = {
+        length: s.dwEnd - s.dwStart,
+        smpl: sha1(smpl.data.slice(s.dwStart << 1, s.dwEnd << 1)),
+      };
+      if (sm24)
+        data.sdta.sm24 = sha1(sm24.data.slice(s.dwStart, s.dwEnd));
+    }
+    res.samples.set(gen.samples[s.id], {
+      data,
+      hash: data.sdta ? data.sdta.smpl + (data.sdta.sm24 || "") : null,
+    });
+  }
+  for (let i of sf2.inst) {
+    const data = gen.instrument(i);
+    res.instruments.set(gen.instruments[i.id], {
+      data,
+      hash: sha1(JSON.stringify(
+        resolve(data.zones, "sampleID", res.samples))),
+    });
+  }
+  for (let p of sf2.phdr) {
+    const id = pad(p.wBank) + ":" + pad(p.wPreset);
+    res.presets.set(id, {data: gen.preset(p)});
+  }
+  return res;
+}
+
+// Replace references by the content hash of the referenced object.
+function resolve(zones, target, map) {
+  return zones.map(z => Object.assign({}, z, {
+    gens: (z.gens || []).map(g => {
+      if (!g.hasOwnProperty(target))
+        return g;
+      const ref = map.get(g[target]);
+      return {[target]: ref && ref.hash || g[target]};
+    }),
+  }));
+}
+
+/**
+ * Compare two models and return a list of changes.
+ * Each change has a kind (info, preset, instrument or sample),
+ * the id of the object, a type (added, removed, renamed or changed),
+ * and for changes within an object the path and old and new values.
+ */
+function diff(a, b) {
+  const changes = [];
+  const add = c => changes.push(c);
+  for (let c of diffMap(a.info, b.info, ""))
+    add(Object.assign({kind: "info", id: "INFO"}, c));
+  const samples = match("sample", a.samples, b.samples, add);
+  const instruments = match("instrument", a.instruments, b.instruments, add);
+  match("preset", a.presets, b.presets, add, true);
+  for (let [aid, bid] of samples)
+    for (let c of diffMap(a.samples.get(aid).data,
+                          rename(b.samples.get(bid).data, samples),
+                          ""))
+      add(Object.assign({kind: "sample", id: aid}, c));
+  for (let [aid, bid] of instruments)
+    for (let c of diffZoned(a.instruments.get(aid).data,
+                            b.instruments.get(bid).data,
+                            "sampleID", samples))
+      add(Object.assign({kind: "instrument", id: aid}, c));
+  for (let id of a.presets.keys())
+    if (b.presets.has(id))
+      for (let c of diffZoned(a.presets.get(id).data, b.presets.get(id).data,
+                              "instrument", instruments))
+        add(Object.assign({kind: "preset", id}, c));
+  return changes;
+}
+
+/*
+ * Match objects by id, then the remaining ones by content hash.
+ * Returns a map from ids in b to ids in a, for all matched objects.
+ */
+function match(kind, a, b, add, byIdOnly) {
+  const res = new Map();
+  for (let id of a.keys())
+    if (b.has(id))
+      res.set(id, id);
+  if (!byIdOnly) {
+    const hashes = new Map();
+    for (let [id, o] of a)
+      if (!b.has(id) && o.hash && !hashes.has(o.hash))
+        hashes.set(o.hash, id);
+    for (let [id, o] of b) {
+      if (a.has(id) || !hashes.has(o.hash))
+        continue;
+      const old = hashes.get(o.hash);
+      hashes.delete(o.hash);
+      res.set(id, old);
+      add({kind, id: old, type: "renamed", old, new: id});
+    }
+  }
+  const matched = new Set(res.values());
+  for (let id of a.keys())
+    if (!matched.has(id))
+      add({kind, id, type: "removed"});
+  for (let id of b.keys())
+    if (!res.has(id))
+      add({kind, id, type: "added"});
+  return new Map(Array.from(res).map(([bid, aid]) => [aid, bid]));
+}
+
+// Express references to renamed objects by their old names.
+function rename(data, matches) {
+  const back = new Map();
+  for (let [aid, bid] of matches)
+    back.set(bid, aid);
+  const ref = v => back.has(v) ? back.get(v) : v;
+  if (data.hasOwnProperty("wSampleLink") &&
+      typeof data.wSampleLink === "string")
+    return Object.assign({}, data, {wSampleLink: ref(data.wSampleLink)});
+  if (!data.zones)
+    return data;
+  const fix = z => Object.assign({}, z, {
+    gens: z.gens && z.gens.map(g => {
+      const k = Object.keys(g)[0];
+      return k === "sampleID" || k === "instrument" ? {[k]: ref(g[k])} : g;
+    }),
+  });
+  const res = Object.assign({}, data, {zones: data.zones.map(fix)});
+  if (data.global)
+    res.global = fix(data.global);
+  return res;
+}
+
+function diffZoned(a, b, target, matches) {
+  b = rename(b, matches);
+  const head = o => {
+    const res = Object.assign({}, o);
+    delete res.zones;
+    delete res.global;
+    return res;
+  };
+  const res = diffMap(head(a), head(b), "");
+  const zones = o => (o.global ? [o.global] : []).concat(o.zones);
+  const za = merge3.zoneKeys(zones(a)), zb = merge3.zoneKeys(zones(b));
+  const mb = new Map(zb.map(e => [e.key, e]));
+  const ma = new Map(za.map(e => [e.key, e]));
+  for (let e of za) {
+    const path = "zones" + e.label;
+    if (!mb.has(e.key)) {
+      res.push({type: "removed", path, old: e.item});
+      continue;
+    }
+    const other = mb.get(e.key).item;
+    for (let c of diffList(e.item.gens, other.gens, path + ".gens",
+                           gensMap))
+      res.push(c);
+    for (let c of diffList(e.item.mods, other.mods, path + ".mods",
+                           modsMap))
+      res.push(c);
+  }
+  for (let e of zb)
+    if (!ma.has(e.key))
+      res.push({type: "added", path: "zones" + e.label, new: e.item});
+  return res;
+}
+
+function gensMap(lst) {
+  const res = new Map();
+  for (let g of lst || []) {
+    const k = Object.keys(g)[0];
+    res.set(k, g[k]);
+  }
+  return res;
+}
+
+function modsMap(lst) {
+  return new Map(merge3.modKeys(lst || []).map(e => [e.label, e.item]));
+}
+
+function diffList(a, b, path, toMap) {
+  a = toMap(a);
+  b = toMap(b);
+  const res = [];
+  const sub = k => /^\[/.test(k) ? path + k : path + "." + k;
+  for (let [k, v] of a) {
+    if (!b.has(k))
+      res.push({type: "removed", path: sub(k), old: v});
+    else if (isMap(v) && isMap(b.get(k)))
+      res.push.apply(res, diffMap(v, b.get(k), sub(k)));
+    else if (!equal(v, b.get(k)))
+      res.push({type: "changed", path: sub(k), old: v, new: b.get(k)});
+  }
+  for (let [k, v] of b)
+    if (!a.has(k))
+      res.push({type: "added", path: sub(k), new: v});
+  return res;
+}
+
+function diffMap(a, b, path) {
+  const res = [];
+  const sub = k => path ? path + "." + k : k;
+  for (let k of Object.keys(a)) {
+    if (!b.hasOwnProperty(k))
+      res.push({type: "removed", path: sub(k), old: a[k]});
+    else if (isMap(a[k]) && isMap(b[k]))
+      res.push.apply(res, diffMap(a[k], b[k], sub(k)));
+    else if (!equal(a[k], b[k]))
+      res.push({type: "changed", path: sub(k), old: a[k], new: b[k]});
+  }
+  for (let k of Object.keys(b))
+    if (!a.hasOwnProperty(k))
+      res.push({type: "added", path: sub(k), new: b[k]});
+  return res;
+}
+
+function isMap(x) {
+  return x !== null && typeof x === "object" && !Array.isArray(x);
+}
+
+function equal(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function show(v) {
+  return typeof v === "string" ? v : JSON.stringify(v);
+}
+
+/**
+ * Format a list of changes as human-readable text, one line per change.
+ */
+function format(changes) {
+  const lines = [];
+  let current = null;
+  for (let c of changes) {
+    const obj = c.kind === "info" ? "INFO" : `${c.kind} ${c.id}`;
+    if (c.type === "renamed") {
+      lines.push(`${obj} renamed to ${c.new}`);
+      continue;
+    }
+    if (!c.path) {
+      lines.push((c.type === "added" ? "+ " : "- ") + obj);
+      continue;
+    }
+    if (obj !== current)
+      lines.push(obj);
+    current = obj;
+    if (c.type === "added")
+      lines.push(`  + ${c.path}: ${show(c.new)}`);
+    else if (c.type === "removed")
+      lines.push(`  - ${c.path}: ${show(c.old)}`);
+    else
+      lines.push(`  ~ ${c.path}: ${show(c.old)} → ${show(c.new)}`);
+  }
+  return lines.map(l => l + "\n").join("");
+}
+
+/**
+ * Render a model as canonical text, with one line per value,
+ * suitable as a git textconv filter.
+ * Objects are sorted by identity and zones, generators and modulators
+ * are listed in a canonical order, so that reordering does not show up
+ * in a textual diff of the output.
+ */
+function textconv(m) {
+  const lines = [];
+  const emit = (prefix, v) => {
+    if (isMap(v)) {
+      for (let k of Object.keys(v).sort())
+        emit(prefix + "." + k, v[k]);
+    } else {
+      lines.push(prefix + " = " + show(v));
+    }
+  };
+  const zoned = (prefix, data) => {
+    const head = Object.assign({}, data);
+    delete head.zones;
+    delete head.global;
+    emit(prefix, head);
+    const zones = (data.global ? [data.global] : []).concat(data.zones);
+    const sorted = merge3.zoneKeys(zones)
+          .sort((a, b) => a.key < b.key ? -1 : a.key > b.key ? 1 : 0);
+    for (let e of sorted) {
+      const z = prefix + ".zones" + e.label;
+      lines.push(z);
+      for (let [k, v] of Array.from(gensMap(e.item.gens)).sort())
+        emit(z + ".gens." + k, v);
+      for (let [k, v] of Array.from(modsMap(e.item.mods)).sort())
+        emit(z + ".mods" + k, v);
+    }
+  };
+  emit("INFO", m.info);
+  const sorted = map => Array.from(map.keys()).sort();
+  for (let id of sorted(m.presets))
+    zoned("preset " + id, m.presets.get(id).data);
+  for (let id of sorted(m.instruments))
+    zoned("instrument " + id, m.instruments.get(id).data);
+  for (let id of sorted(m.samples))
+    emit("sample " + id, m.samples.get(id).data);
+  return lines.map(l => l + "\n").join("");
+}
+
+module.exports.diff = diff;
+module.exports.format = format;
+module.exports.model = model;
+module.exports.textconv = textconv;
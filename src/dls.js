@@ -0,0 +1,838 @@
+"use strict";
+
+/*
+ * Conversion between soundfonts and DLS Level 1 and 2 files.
+ * On export, every preset becomes a DLS instrument whose regions are
+ * the voices resolved by SF2.presetVoices. Generators and modulators
+ * are written as connection blocks of the region articulation,
+ * and the samples the regions play as waves of the wave pool.
+ * On import, every DLS instrument becomes a preset with a single
+ * instrument, whose zones are the regions. Connection blocks become
+ * generators where their source is constant or internal to the voice,
+ * and modulators where it is a MIDI controller.
+ */
+
+const SF2 = require("./SF2");
+const YamlGen = require("./sf2toyaml").YamlGen;
+const encoding = require("./encoding");
+const merge3 = require("./merge3");
+const model = require("./model");
+const decodePcm = require("./yamltosf2").decodePcm;
+
+const Modulator = SF2.Modulator;
+
+const layouts = {
+  colh: new SF2.RecordLayout([
+    "u4 cInstruments",
+  ], 4),
+  insh: new SF2.RecordLayout([
+    "u4 cRegions",
+    "u4 ulBank",
+    "u4 ulInstrument",
+  ], 12),
+  rgnh: new SF2.RecordLayout([
+    "u2 usLowKey",
+    "u2 usHighKey",
+    "u2 usLowVel",
+    "u2 usHighVel",
+    "u2 fusOptions",
+    "u2 usKeyGroup",
+  ], 12),
+  wlnk: new SF2.RecordLayout([
+    "u2 fusOptions",
+    "u2 usPhaseGroup",
+    "u4 ulChannel",
+    "u4 ulTableIndex",
+  ], 12),
+  wsmp: new SF2.RecordLayout([
+    "u4 cbSize",
+    "u2 usUnityNote",
+    "i2 sFineTune",
+    "i4 lAttenuation",
+    "u4 fulOptions",
+    "u4 cSampleLoops",
+  ], 20),
+  loop: new SF2.RecordLayout([
+    "u4 cbSize",
+    "u4 ulLoopType",
+    "u4 ulLoopStart",
+    "u4 ulLoopLength",
+  ], 16),
+  connection: new SF2.RecordLayout([
+    "u2 usSource",
+    "u2 usControl",
+    "u2 usDestination",
+    "u2 usTransform",
+    "i4 lScale",
+  ], 12),
+};
+
+// connection sources and destinations
+const NONE = 0x0000, LFO = 0x0001, VELOCITY = 0x0002, KEY = 0x0003;
+const PITCHWHEEL = 0x0006, VIBRATO = 0x0009;
+const GAIN = 0x0001, PITCH = 0x0003, PAN = 0x0004, FILTER = 0x0500;
+const CHORUS = 0x0080, REVERB = 0x0081;
+
+const linear = factor => ({factor, from: v => v * factor, to: g => g / factor});
+
+// generators as connections with constant or internal source,
+// with the conversion from DLS units and the DLS level required
+const generators = [
+  ["initialAttenuation", NONE, GAIN, linear(-1), 1],
+  ["fineTune", NONE, PITCH, linear(1), 1], // together with coarseTune
+  ["pan", NONE, PAN, linear(1), 1],
+  ["chorusEffectsSend", NONE, CHORUS, linear(1), 2],
+  ["reverbEffectsSend", NONE, REVERB, linear(1), 2],
+  ["freqModLFO", NONE, 0x0104, linear(1), 1],
+  ["delayModLFO", NONE, 0x0105, linear(1), 1],
+  ["freqVibLFO", NONE, 0x0114, linear(1), 2],
+  ["delayVibLFO", NONE, 0x0115, linear(1), 2],
+  ["attackVolEnv", NONE, 0x0206, linear(1), 1],
+  ["decayVolEnv", NONE, 0x0207, linear(1), 1],
+  ["releaseVolEnv", NONE, 0x0209, linear(1), 1],
+  // sustain levels in tenths of a percent, of the 96 dB range for volume
+  ["sustainVolEnv", NONE, 0x020a,
+   {from: v => 0.96 * (1000 - v), to: g => 1000 - g / 0.96}, 1],
+  ["delayVolEnv", NONE, 0x020b, linear(1), 2],
+  ["holdVolEnv", NONE, 0x020c, linear(1), 2],
+  ["attackModEnv", NONE, 0x030a, linear(1), 1],
+  ["decayModEnv", NONE, 0x030b, linear(1), 1],
+  ["releaseModEnv", NONE, 0x030d, linear(1), 1],
+  ["sustainModEnv", NONE, 0x030e, {from: v => 1000 - v, to: g => 1000 - g}, 1],
+  ["delayModEnv", NONE, 0x030f, linear(1), 2],
+  ["holdModEnv", NONE, 0x0310, linear(1), 2],
+  ["initialFilterFc", NONE, FILTER, linear(1), 2],
+  ["initialFilterQ", NONE, 0x0501, linear(1), 2],
+  ["modLfoToPitch", LFO, PITCH, linear(1), 1],
+  ["modLfoToVolume", LFO, GAIN, linear(-1), 1],
+  ["modLfoToFilterFc", LFO, FILTER, linear(1), 2],
+  ["vibLfoToPitch", VIBRATO, PITCH, linear(1), 2],
+  ["modEnvToPitch", 0x0005, PITCH, linear(1), 1],
+  ["modEnvToFilterFc", 0x0005, FILTER, linear(1), 2],
+  // DLS scales by the key number, SF2 by its distance from key 60
+  ["keynumToVolEnvHold", KEY, 0x020c, linear(-1 / 128), 2],
+  ["keynumToVolEnvDecay", KEY, 0x0207, linear(-1 / 128), 1],
+  ["keynumToModEnvHold", KEY, 0x0310, linear(-1 / 128), 2],
+  ["keynumToModEnvDecay", KEY, 0x030b, linear(-1 / 128), 1],
+  ["scaleTuning", KEY, PITCH, linear(1 / 128), 1],
+].map(([name, source, dest, conv, level]) => ({
+  name, source, dest, conv, level,
+}));
+
+// connections every DLS synthesizer has, with their scale
+const dlsDefaults = [
+  [VELOCITY, NONE, GAIN, -960],
+  [0x0087, NONE, GAIN, -960], // volume
+  [0x008b, NONE, GAIN, -960], // expression
+  [0x008a, NONE, PAN, 508],
+  [PITCHWHEEL, 0x0100, PITCH, 12800], // times pitch bend range
+  [LFO, 0x0081, PITCH, 50], // times modulation wheel
+  [VIBRATO, 0x0081, PITCH, 50],
+  [0x00db, NONE, REVERB, 1000],
+  [0x00dd, NONE, CHORUS, 1000],
+].map(([source, control, dest, scale]) => ({
+  source, control, dest, lScale: scale * 65536,
+}));
+
+// DLS sources which are MIDI controllers, with the SF2 controller index
+const controllers = [
+  [VELOCITY, 2], [KEY, 3], [0x0007, 10], [0x0008, 13], [PITCHWHEEL, 14],
+  [0x0100, 16],
+];
+
+// sources available in DLS Level 1, including all controllers
+const level1Sources = [
+  NONE, LFO, VELOCITY, KEY, 0x0004, 0x0005, PITCHWHEEL,
+  0x0081, 0x0087, 0x008a, 0x008b, 0x0100, 0x0101, 0x0102,
+];
+
+// INFO chunks which exist in both formats
+const infoKeys = ["INAM", "ICRD", "IENG", "IPRD", "ICOP", "ICMT", "ISFT"];
+
+// the default modulator from velocity to filter cutoff, which DLS lacks
+const velocityToFilter = Modulator.defaults.find(
+  m => Modulator.decodeDest(m.sfModDestOper) === "initialFilterFc");
+
+class DlsGen extends YamlGen {
+
+  constructor(sf2, options={}) {
+    super(sf2, null, Object.assign({}, options, {format: "wav"}));
+    this.level = options.level === undefined ? 2 : +options.level;
+    if (this.level !== 1 && this.level !== 2)
+      throw Error("Invalid DLS level: " + options.level);
+    this.report = [];
+  }
+
+  /**
+   * Build the DLS file. Resolves to a buffer, while the report member
+   * lists everything that could not be converted, as entries with
+   * the instrument and region concerned and a message.
+   */
+  generate() {
+    const sdta = this.sf2.chunks[0].firstForName("sdta");
+    this.smpl = sdta && sdta.firstForName("smpl");
+    this.sm24 = sdta && sdta.firstForName("sm24");
+    const pool = new Map();
+    const instruments = this.sf2.phdr.map(p => this.instrument(p, pool));
+    const samples = Array.from(pool.keys());
+    // one sample at a time, to keep memory usage low
+    return samples.reduce((prev, s) => prev.then(waves => this.wave(s)
+      .then(w => waves.concat([w]))), Promise.resolve([])).then(waves => {
+        const cues = [];
+        let pos = 0;
+        for (let w of waves) {
+          cues.push(pos);
+          pos += w.toBuffer().length;
+        }
+        const ptbl = Buffer.alloc(8 + 4 * cues.length);
+        ptbl.writeUInt32LE(8, 0);
+        ptbl.writeUInt32LE(cues.length, 4);
+        cues.forEach((c, i) => ptbl.writeUInt32LE(c, 8 + 4 * i));
+        const dls = SF2.RIFF.fromChunks("DLS", [
+          record("colh", {cInstruments: instruments.length}),
+          list("lins", instruments),
+          new SF2.Chunk("ptbl", ptbl),
+          list("wvpl", waves),
+          this.infoList(),
+        ]);
+        return SF2.RIFF.fromChunks("", [dls]).toBuffer();
+      });
+  }
+
+  instrument(p, pool) {
+    const name = this.text(p.achPresetName);
+    const label = `${name} (${p.wBank}:${p.wPreset})`;
+    const report = (region, message) =>
+          this.report.push({instrument: label, region, message});
+    if (p.wBank > 127 && p.wBank !== 128)
+      report(null, `bank ${p.wBank} not representable, using ` +
+             (p.wBank & 0x7f));
+    const regions = [];
+    const voices = this.sf2.presetVoices(p);
+    for (let v of voices) {
+      const s = v.sample;
+      const where = `${this.text(s.achSampleName)} ` +
+            `keys ${v.keyRange} velocities ${v.velRange}`;
+      const note = message => report(where, message);
+      if ((s.sfSampleType & 0x8000) || !this.smpl ||
+          s.dwEnd > this.smpl.length >> 1) {
+        note("ROM sample without data, region left out");
+        continue;
+      }
+      if (!pool.has(s))
+        pool.set(s, pool.size);
+      if (this.level === 1 && voices.some(o => o !== v &&
+        overlap(o.keyRange, v.keyRange) && overlap(o.velRange, v.velRange)))
+        note("overlapping regions require DLS Level 2");
+      if (this.level === 1 && (v.velRange.byLo > 1 || v.velRange.byHi < 127))
+        note("velocity range requires DLS Level 2");
+      regions.push(this.region(v, pool.get(s), note));
+    }
+    const ulBank = p.wBank === 128 ? 0x80000000 : (p.wBank & 0x7f) << 8;
+    return list("ins", [
+      record("insh", {
+        cRegions: regions.length,
+        ulBank,
+        ulInstrument: p.wPreset & 0x7f,
+      }),
+      list("lrgn", regions),
+      this.infoList({INAM: name}),
+    ]);
+  }
+
+  /**
+   * The region for a resolved voice, with its articulation,
+   * reporting what cannot be translated.
+   */
+  region(v, index, note) {
+    const g = v.gens, s = v.sample, level2 = this.level === 2;
+    const blocks = [];
+    const add = (source, control, dest, transform, value) => {
+      const lScale = Math.round(value * 65536);
+      blocks.push({
+        usSource: source,
+        usControl: control,
+        usDestination: dest,
+        usTransform: transform,
+        lScale: Math.max(-0x80000000, Math.min(0x7fffffff, lScale)),
+      });
+    };
+
+    const values = Object.assign({}, g);
+    values.fineTune = g.fineTune + 100 * g.coarseTune;
+    for (let gen of generators) {
+      const match = /^keynumTo(Vol|Mod)Env(Hold|Decay)$/.exec(gen.name);
+      if (match && g[gen.name])
+        values[match[2].toLowerCase() + match[1] + "Env"] += 60 * g[gen.name];
+    }
+    // the default modulators only use the vibrato LFO of Level 2
+    const lfoUsed = kind => ["Pitch", "Volume", "FilterFc"].some(
+      d => g[kind + "LfoTo" + d]) || v.mods.some(m => m.modAmount &&
+        (level2 || !isDefault(m)) &&
+        String(Modulator.decodeDest(m.sfModDestOper)).indexOf(
+          kind + "LfoTo") === 0);
+    for (let gen of generators) {
+      const value = values[gen.name];
+      // the LFO frequency of DLS defaults to 5 Hz instead of 8.176 Hz
+      const lfo = /^(freq|delay)(Mod|Vib)LFO$/.exec(gen.name);
+      if (lfo && !lfoUsed(lfo[2].toLowerCase()) ||
+          value === (SF2.Generator.defaults[gen.name] || 0) &&
+          !(lfo && lfo[1] === "freq"))
+        continue;
+      if (gen.level > this.level) {
+        note(`${gen.name} requires DLS Level 2, not converted`);
+        continue;
+      }
+      add(gen.source, NONE, gen.dest, 0, gen.conv.to(value));
+    }
+    for (let name of ["startAddrsOffset", "endAddrsOffset"])
+      if (g[name] || g[name.replace("Addrs", "AddrsCoarse")])
+        note(`${name} not converted`);
+
+    // a preset modulator equal to a default one adds to it
+    const defaults = Modulator.defaults.slice();
+    for (let m of v.mods) {
+      const i = defaults.findIndex(d => d && sameModulator(d, m));
+      if (i >= 0)
+        defaults[i] = null;
+      if (!m.modAmount || i >= 0 && this.builtIn(Modulator.defaults[i]))
+        continue;
+      const dest = Modulator.decodeDest(m.sfModDestOper);
+      const coarse = dest === "coarseTune";
+      const gen = generators.find(x => x.name === (coarse ? "fineTune" : dest));
+      const src = dlsSource(m.sfModSrcOper);
+      const amt = dlsSource(m.sfModAmtSrcOper);
+      const amount = gen && gen.conv.factor &&
+            gen.conv.to(m.modAmount * (coarse ? 100 : 1));
+      const plain = s => !s.invert && !s.curve &&
+            s.bipolar === (s.source === PITCHWHEEL ? 1 : 0);
+      let ok = !m.sfModTransOper && gen && gen.conv.factor && src && amt &&
+          (level2 || gen.level === 1);
+      if (ok && gen.source === NONE) {
+        ok = level2 || (level1Sources.indexOf(src.source) >= 0 &&
+                        level1Sources.indexOf(amt.source) >= 0 && plain(amt) &&
+                        (plain(src) || src.curve === 1 && !src.invert &&
+                         !src.bipolar));
+        if (ok)
+          add(src.source, amt.source, gen.dest, !level2 ? src.curve :
+              sourceBits(src) << 10 | sourceBits(amt) << 4, amount);
+      } else if (ok) {
+        ok = amt.source === NONE && (level2 || plain(src) &&
+                                     level1Sources.indexOf(src.source) >= 0);
+        if (ok)
+          add(gen.source, src.source, gen.dest,
+              level2 ? sourceBits(src) << 4 : 0, amount);
+      }
+      if (!ok) {
+        const label = merge3.modKeys([Modulator.symbolic(m)])[0].label;
+        note(`modulator ${label} with amount ${m.modAmount} not converted`);
+      }
+    }
+    // the DLS filter is disabled without a cutoff frequency
+    if (blocks.some(b => b.usDestination === FILTER) &&
+        !blocks.some(b => b.usSource === NONE && b.usDestination === FILTER))
+      add(NONE, NONE, FILTER, 0, g.initialFilterFc);
+
+    const chunks = [
+      record("rgnh", {
+        usLowKey: v.keyRange.byLo,
+        usHighKey: v.keyRange.byHi,
+        usLowVel: level2 ? v.velRange.byLo : 0,
+        usHighVel: level2 ? v.velRange.byHi : 127,
+        fusOptions: 0,
+        usKeyGroup: g.exclusiveClass,
+      }),
+      this.wsmp(s, g, note),
+      record("wlnk", {
+        fusOptions: 0,
+        usPhaseGroup: 0,
+        ulChannel: 1,
+        ulTableIndex: index,
+      }),
+    ];
+    if (blocks.length)
+      chunks.push(list(level2 ? "lar2" : "lart",
+                       [artChunk(level2 ? "art2" : "art1", blocks)]));
+    return list(level2 ? "rgn2" : "rgn", chunks);
+  }
+
+  // Whether DLS synthesizers have an equivalent of a default modulator.
+  // They lack the ones from velocity to cutoff and from channel pressure
+  // to vibrato, and Level 1 has no vibrato LFO.
+  builtIn(m) {
+    const dest = Modulator.decodeDest(m.sfModDestOper);
+    return m !== velocityToFilter && (dest !== "vibLfoToPitch" ||
+      this.level === 2 && Modulator.decodeSource(m.sfModSrcOper)
+        .controller !== "channelPressure");
+  }
+
+  // Sample parameters, of a region if generators are given.
+  wsmp(s, g, note) {
+    const loops = [];
+    const mode = g ? g.sampleModes & 3 : 1;
+    const addr = (fine, coarse) => g ? g[fine] + 32768 * g[coarse] : 0;
+    const start = s.dwStartloop - s.dwStart +
+          addr("startloopAddrsOffset", "startloopAddrsCoarseOffset");
+    const end = s.dwEndloop - s.dwStart +
+          addr("endloopAddrsOffset", "endloopAddrsCoarseOffset");
+    if ((mode === 1 || mode === 3) && end > start) {
+      if (mode === 3 && this.level === 1)
+        note("loop until release requires DLS Level 2, converted as loop");
+      loops.push({
+        cbSize: 16,
+        ulLoopType: mode === 3 && this.level === 2 ? 1 : 0,
+        ulLoopStart: start,
+        ulLoopLength: end - start,
+      });
+    }
+    const root = g && g.overridingRootKey >= 0 ? g.overridingRootKey :
+          s.byOriginalPitch > 127 ? 60 : s.byOriginalPitch;
+    const head = layouts.wsmp.write("wsmp", [{
+      cbSize: 20,
+      usUnityNote: root,
+      sFineTune: s.chPitchCorrection,
+      lAttenuation: 0,
+      fulOptions: 0,
+      cSampleLoops: loops.length,
+    }]).slice(8);
+    return new SF2.Chunk("wsmp", loops.length ? Buffer.concat(
+      [head, layouts.loop.write("wsmp", loops).slice(8)]) : head);
+  }
+
+  wave(s) {
+    const blocks = [];
+    const name = this.text(s.achSampleName);
+    let reduced = false;
+    return this.eachBlock([{start: s.dwStart, end: s.dwEnd}], ([b]) => {
+      blocks.push(b.hi);
+      reduced = reduced || !!b.lo && b.lo.some(x => x);
+    }).then(() => {
+      const note = message => this.report.push({
+        instrument: null, region: null, message: `sample ${name}: ${message}`,
+      });
+      if (reduced)
+        note("24 bit data reduced to 16 bit");
+      if (s.sfSampleType & 6)
+        note("stereo link not converted");
+      const fmt = Buffer.alloc(16);
+      fmt.writeUInt16LE(1, 0); // PCM
+      fmt.writeUInt16LE(1, 2);
+      fmt.writeUInt32LE(s.dwSamplerRate, 4);
+      fmt.writeUInt32LE(2 * s.dwSamplerRate, 8);
+      fmt.writeUInt16LE(2, 12);
+      fmt.writeUInt16LE(16, 14);
+      return list("wave", [
+        new SF2.Chunk("fmt", fmt),
+        this.wsmp(s, null),
+        new SF2.Chunk("data", Buffer.concat(blocks)),
+        this.infoList({INAM: name}),
+      ]);
+    });
+  }
+
+  // INFO list with the given strings, or those of the soundfont.
+  infoList(info) {
+    if (!info) {
+      const all = this.info();
+      info = {};
+      for (let k of infoKeys)
+        if (all[k] !== undefined && !all[k].hex)
+          info[k] = all[k];
+    }
+    return list("INFO", Object.keys(info).map(k => new SF2.Chunk(
+      k, Buffer.from(encoding.encode(info[k], this.encoding) + "\0",
+                     "binary"))));
+  }
+
+}
+
+class DlsParse {
+
+  constructor(options={}) {
+    this.options = options;
+    this.warn = options.warn || (msg => console.warn("Warning: " + msg));
+    this.encoding = options.encoding || "latin1";
+  }
+
+  /**
+   * Convert a DLS file, given as a buffer, into a SoundFont object.
+   * Parts without SF2 equivalent are reported to the warn option.
+   */
+  parse(buf) {
+    const dls = new SF2.RIFF(buf).chunks[0];
+    if (!dls || dls.id !== "DLS" || !(dls instanceof SF2.RIFF))
+      throw Error("Not a DLS file");
+    const warned = new Set();
+    const warn = msg => {
+      if (!warned.has(msg))
+        this.warn(msg);
+      warned.add(msg);
+    };
+    const font = new model.SoundFont();
+    const info = this.info(dls);
+    for (let k of Object.keys(info)) {
+      if (infoKeys.indexOf(k) >= 0)
+        font.info[k] = info[k];
+      else
+        warn(`INFO chunk ${k} not converted`);
+    }
+    const samples = this.waves(dls, font, warn);
+    const lins = dls.firstForName("lins");
+    for (let ins of lins ? lins.chunks : []) {
+      if (ins.id === "ins")
+        this.instrument(ins, font, samples, warn);
+    }
+    return font;
+  }
+
+  info(lst) {
+    const res = {};
+    const info = lst.firstForName("INFO");
+    for (let c of info ? info.chunks : [])
+      if (!(c instanceof SF2.RIFF))
+        res[c.id] = encoding.decode(c.zstr("binary"), this.encoding);
+    return res;
+  }
+
+  // The samples of the wave pool, in the order of the pool table.
+  waves(dls, font, warn) {
+    const wvpl = dls.firstForName("wvpl");
+    if (!wvpl)
+      throw Error("DLS file without wave pool");
+    const at = new Map();
+    let pos = 0;
+    for (let c of wvpl.chunks) {
+      at.set(pos, c);
+      pos += chunkSize(c);
+    }
+    const ptbl = dls.firstForName("ptbl");
+    let cues = Array.from(at.keys());
+    if (ptbl) {
+      const d = ptbl.data;
+      cues = [];
+      for (let i = 0; i < d.readUInt32LE(4); ++i)
+        cues.push(d.readUInt32LE(d.readUInt32LE(0) + 4 * i));
+    }
+    return cues.map((cue, i) => {
+      const wave = at.get(cue);
+      if (!wave || wave.id !== "wave")
+        throw Error("Invalid pool table offset " + cue);
+      return this.sample(wave, i, font, warn);
+    });
+  }
+
+  sample(wave, i, font, warn) {
+    const name = this.info(wave).INAM || "Wave " + i;
+    const fmt = wave.firstForName("fmt"), data = wave.firstForName("data");
+    if (!fmt || !data)
+      throw Error(`Wave ${name} without fmt or data chunk`);
+    const channels = fmt.data.readUInt16LE(2);
+    let pcm;
+    if (fmt.data.readUInt16LE(14) === 8 && fmt.data.readUInt16LE(0) === 1) {
+      // unsigned 8 bit samples, which decodePcm does not support
+      const smpl = Buffer.alloc(2 * Math.floor(data.length / channels));
+      for (let j = 0; j < smpl.length >> 1; ++j)
+        smpl.writeInt16LE((data.data[j * channels] - 128) << 8, 2 * j);
+      pcm = {sampleRate: fmt.data.readUInt32LE(4), channels: [{smpl}]};
+    } else {
+      pcm = decodePcm(fmt.data, data.data);
+    }
+    if (channels > 1)
+      warn(`wave ${name}: only the first of ${channels} channels converted`);
+    const c = pcm.channels[0];
+    const samples = new Int16Array(c.smpl.length >> 1);
+    for (let j = 0; j < samples.length; ++j)
+      samples[j] = c.smpl.readInt16LE(2 * j);
+    const wsmp = readWsmp(wave);
+    const loop = wsmp && wsmp.loops[0];
+    const res = font.addSample({
+      name,
+      data: samples,
+      data24: c.sm24,
+      sampleRate: pcm.sampleRate,
+      originalPitch: wsmp ? Math.min(127, wsmp.usUnityNote) : 60,
+      pitchCorrection: wsmp ? Math.max(-128, Math.min(127, wsmp.sFineTune)) : 0,
+      loopStart: loop ? loop.ulLoopStart : 0,
+      loopEnd: loop ? loop.ulLoopStart + loop.ulLoopLength : 0,
+    });
+    res.wsmp = wsmp;
+    return res;
+  }
+
+  instrument(ins, font, samples, warn) {
+    const insh = layouts.insh.parse(ins.firstForName("insh"))[0];
+    const name = this.info(ins).INAM || "Instrument " + font.presets.length;
+    const drums = !!(insh.ulBank & 0x80000000);
+    const bank = drums ? 128 : insh.ulBank >> 8 & 0x7f;
+    const program = insh.ulInstrument & 0x7f;
+    const label = `instrument ${name} (${bank}:${program})`;
+    if (!drums && insh.ulBank & 0x7f)
+      warn(`${label}: bank LSB ${insh.ulBank & 0x7f} not converted`);
+    const shared = articulation(ins, msg => warn(`${label}: ${msg}`));
+    const inst = font.addInstrument({name});
+    inst.setGlobal({mods: [{
+      src: velocityToFilter.sfModSrcOper,
+      dest: "initialFilterFc",
+      amount: 0,
+      amtSrc: velocityToFilter.sfModAmtSrcOper,
+    }]});
+    const lrgn = ins.firstForName("lrgn");
+    for (let rgn of lrgn ? lrgn.chunks : []) {
+      if (rgn.id !== "rgn" && rgn.id !== "rgn2")
+        continue;
+      const h = layouts.rgnh.parse(rgn.firstForName("rgnh"))[0];
+      const where = `${label} region keys ${h.usLowKey}-${h.usHighKey}`;
+      const wlnk = rgn.firstForName("wlnk");
+      const sample = wlnk && samples[layouts.wlnk.parse(wlnk)[0].ulTableIndex];
+      if (!sample) {
+        warn(`${where}: no wave, region left out`);
+        continue;
+      }
+      const art = articulation(rgn, msg => warn(`${where}: ${msg}`)) || shared;
+      inst.addZone(this.zone(h, sample, readWsmp(rgn) || sample.wsmp, art,
+                             msg => warn(`${where}: ${msg}`)));
+    }
+    font.addPreset({name, bank, preset: program}).addZone({instrument: inst});
+  }
+
+  zone(h, sample, wsmp, art, warn) {
+    const gens = {};
+    const values = Object.assign({}, art ? art.gens : {});
+    const add = (name, x) => values[name] = (values[name] || 0) + x;
+    if (h.usKeyGroup)
+      gens.exclusiveClass = h.usKeyGroup;
+    if (wsmp) {
+      if (Math.min(127, wsmp.usUnityNote) !== sample.originalPitch)
+        gens.overridingRootKey = Math.min(127, wsmp.usUnityNote);
+      add("fineTune", wsmp.sFineTune - sample.pitchCorrection);
+      add("initialAttenuation", -wsmp.lAttenuation / 65536);
+      const loop = wsmp.loops[0];
+      if (loop) {
+        if (sample.loopStart === sample.loopEnd) {
+          sample.loopStart = loop.ulLoopStart;
+          sample.loopEnd = loop.ulLoopStart + loop.ulLoopLength;
+        }
+        addr(gens, "startloopAddrsOffset", "startloopAddrsCoarseOffset",
+             loop.ulLoopStart - sample.loopStart);
+        addr(gens, "endloopAddrsOffset", "endloopAddrsCoarseOffset",
+             loop.ulLoopStart + loop.ulLoopLength - sample.loopEnd);
+        gens.sampleModes = loop.ulLoopType === 1 ? 3 : 1;
+      }
+    }
+    // tuning in cents, keynum generators relative to key 60
+    const cents = Math.round(values.fineTune || 0);
+    values.coarseTune = Math.trunc(cents / 100);
+    values.fineTune = cents % 100;
+    for (let name of Object.keys(values)) {
+      const match = /^keynumTo(Vol|Mod)Env(Hold|Decay)$/.exec(name);
+      if (match) {
+        const base = match[2].toLowerCase() + match[1] + "Env";
+        values[name] = Math.round(values[name]);
+        values[base] = (values.hasOwnProperty(base) ? values[base] :
+                        SF2.Generator.defaults[base]) - 60 * values[name];
+      }
+    }
+    // the LFO frequency of DLS defaults to 5 Hz
+    for (let kind of ["ModLFO", "VibLFO"]) {
+      const prefix = kind.slice(0, 3).toLowerCase() + "LfoTo";
+      const used = Object.keys(values).some(
+        k => k.indexOf(prefix) === 0 && values[k]) ||
+            art && art.mods.some(m => m.dest.indexOf(prefix) === 0);
+      if (used && !values.hasOwnProperty("freq" + kind))
+        values["freq" + kind] = SF2.Generator.fromPhysical("freq" + kind,
+                                                           "5Hz");
+    }
+    for (let name of Object.keys(values)) {
+      const limits = SF2.Generator.limits[name] || [-32768, 32767];
+      const x = Math.round(values[name]);
+      const v = Math.min(limits[1], Math.max(limits[0], x));
+      // times below the SF2 minimum of 1 ms are as good as zero
+      if (v !== x && !(v === -12000 && x < v))
+        warn(`${name} out of range, clipped to ${v}`);
+      if (v !== (SF2.Generator.defaults[name] || 0))
+        gens[name] = v;
+    }
+    const range = (lo, hi, min) => lo <= min && hi >= 127 ? null :
+          [Math.max(0, lo), Math.min(127, hi)];
+    return {
+      sample,
+      keyRange: range(h.usLowKey, h.usHighKey, 0),
+      velRange: range(h.usLowVel, h.usHighVel, 1),
+      gens,
+      mods: art ? art.mods : [],
+    };
+  }
+
+}
+
+/**
+ * Generators and modulators from the articulation of a DLS instrument
+ * or region, preferring that of Level 2. Returns null if there is none.
+ */
+function articulation(lst, warn) {
+  const level2 = lst.firstForName("lar2");
+  const lart = level2 || lst.firstForName("lart");
+  if (!lart)
+    return null;
+  const gens = {}, mods = [];
+  const blocks = [];
+  for (let art of lart.chunks) {
+    if (art.id !== "art1" && art.id !== "art2")
+      continue;
+    const d = art.data, count = d.readUInt32LE(4), size = d.readUInt32LE(0);
+    if (count)
+      blocks.push(...layouts.connection.parse(
+        new SF2.Chunk(art.id, d.slice(size, size + 12 * count))).map(b => {
+          // Level 1 only knows a concave transform of the source,
+          // and its pitch wheel is bipolar
+          if (art.id === "art1")
+            b.usTransform = b.usTransform === 1 ? 0x0400 : b.usTransform ?
+              0x000f : b.usSource === PITCHWHEEL ? 0x4000 : 0;
+          return b;
+        }));
+  }
+  for (let b of blocks) {
+    const value = b.lScale / 65536;
+    const label = "connection " + [b.usSource, b.usControl, b.usDestination]
+          .map(x => "0x" + ("000" + x.toString(16)).slice(-4)).join(" ");
+    const dflt = dlsDefaults.find(c => c.source === b.usSource &&
+      c.control === b.usControl && c.dest === b.usDestination);
+    if (dflt) {
+      if (dflt.lScale !== b.lScale || b.usTransform & 0x0f)
+        warn(`${label} differs from the DLS default, not converted`);
+      continue;
+    }
+    const gen = generators.find(g => g.source === b.usSource &&
+                                g.dest === b.usDestination);
+    const output = b.usTransform & 0x0f;
+    if (gen && b.usControl === NONE && !b.usTransform) {
+      if (gen.name === "initialFilterFc" && b.lScale === 0x7fffffff)
+        continue; // filter disabled
+      gens[gen.name] = gen.conv.from(value);
+      continue;
+    }
+    const ctl = sf2Source(b.usControl, b.usTransform >> 4);
+    if (gen && gen.conv.factor && ctl && !(b.usTransform & 0xfc0f)) {
+      mods.push({src: ctl, dest: gen.name, amount: gen.conv.from(value)});
+      continue;
+    }
+    const src = sf2Source(b.usSource, b.usTransform >> 10);
+    const target = generators.find(g => g.source === NONE &&
+                                   g.dest === b.usDestination);
+    if (src && ctl !== null && target && target.conv.factor && !output) {
+      mods.push({src, amtSrc: ctl, dest: target.name,
+                 amount: target.conv.from(value)});
+      continue;
+    }
+    warn(`${label} not converted`);
+  }
+  for (let m of mods) {
+    const amount = Math.round(m.amount);
+    m.amount = Math.max(-32768, Math.min(32767, amount));
+    if (m.amount !== amount)
+      warn(`modulator amount ${amount} out of range, clipped to ${m.amount}`);
+  }
+  return {gens, mods};
+}
+
+/**
+ * The SF2 modulator source for a DLS connection source, given the bits
+ * of the connection transform for it: inverted, bipolar and the curve
+ * in bits 5, 4 and 0 to 3. Returns 0 for no source and null if there is
+ * no SF2 equivalent.
+ */
+function sf2Source(source, bits) {
+  bits &= 0x3f;
+  if (source === NONE)
+    return bits ? null : 0;
+  const c = controllers.find(c => c[0] === source);
+  const index = (source & 0xff80) === 0x80 ? source : c && c[1];
+  const curve = bits & 0x0f;
+  if (index === undefined || curve >= Modulator.curves.length)
+    return null;
+  return index | (bits & 0x20 ? 0x100 : 0) | (bits & 0x10 ? 0x200 : 0) |
+    curve << 10;
+}
+
+// The DLS connection source for an SF2 modulator source, or null.
+function dlsSource(oper) {
+  if (oper === 0)
+    return {source: NONE, invert: 0, bipolar: 0, curve: 0};
+  const c = controllers.find(c => c[1] === (oper & 0x7f));
+  const source = oper & 0x80 ? oper & 0xff : c && !(oper & 0x80) && c[0];
+  if (!source)
+    return null;
+  return {
+    source,
+    invert: oper >> 8 & 1,
+    bipolar: oper >> 9 & 1,
+    curve: oper >> 10,
+  };
+}
+
+// Transform bits of a connection for a source, as they are for the control.
+function sourceBits(s) {
+  return s.invert << 5 | s.bipolar << 4 | s.curve;
+}
+
+function isDefault(m) {
+  return Modulator.defaults.some(d => sameModulator(d, m));
+}
+
+function sameModulator(a, b) {
+  return ["sfModSrcOper", "sfModDestOper", "modAmount", "sfModAmtSrcOper",
+          "sfModTransOper"].every(k => a[k] === b[k]);
+}
+
+function readWsmp(lst) {
+  const wsmp = lst.firstForName("wsmp");
+  if (!wsmp || wsmp.length < 20)
+    return null;
+  const d = wsmp.data;
+  const res = layouts.wsmp.parse(new SF2.Chunk("wsmp", d.slice(0, 20)))[0];
+  res.loops = [];
+  for (let i = 0; i < res.cSampleLoops; ++i) {
+    const pos = res.cbSize + 16 * i;
+    if (pos + 16 <= d.length)
+      res.loops.push(layouts.loop.parse(
+        new SF2.Chunk("wsmp", d.slice(pos, pos + 16)))[0]);
+  }
+  return res;
+}
+
+function addr(gens, fine, coarse, x) {
+  const c = Math.trunc(x / 32768);
+  if (x - 32768 * c)
+    gens[fine] = x - 32768 * c;
+  if (c)
+    gens[coarse] = c;
+}
+
+function overlap(a, b) {
+  return a.byLo <= b.byHi && b.byLo <= a.byHi;
+}
+
+// Size of a parsed chunk within its list, including header and padding.
+function chunkSize(c) {
+  const len = c instanceof SF2.RIFF ? c.data.length + 4 : c.length;
+  return 8 + len + (len & 1);
+}
+
+function record(id, rec) {
+  return new SF2.Chunk(id, layouts[id].write(id, [rec]).slice(8));
+}
+
+function list(id, chunks) {
+  return SF2.RIFF.fromChunks(id, chunks, true);
+}
+
+function artChunk(id, blocks) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32LE(8, 0);
+  head.writeUInt32LE(blocks.length, 4);
+  return new SF2.Chunk(id, Buffer.concat(
+    [head, layouts.connection.write(id, blocks).slice(8)]));
+}
+
+module.exports.DlsGen = DlsGen;
+module.exports.DlsParse = DlsParse;
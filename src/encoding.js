@@ -0,0 +1,63 @@
+"use strict";
+
+const iconv = require("iconv-lite");
+
+function checkEncoding(enc) {
+  if (!iconv.encodingExists(enc))
+    throw Error("Unknown character encoding: " + enc);
+}
+
+/**
+ * Decode a binary string using the given encoding.
+ * If the result would not encode back to the same bytes,
+ * an object with explicit latin1 encoding is returned instead.
+ */
+function decode(str, enc) {
+  checkEncoding(enc);
+  const buf = Buffer.from(str, "binary");
+  const text = iconv.decode(buf, enc);
+  if (iconv.encode(text, enc).equals(buf))
+    return text;
+  return {text: str, encoding: "latin1"};
+}
+
+/**
+ * Encode a string value from the YAML representation,
+ * either a plain string or an object with text and encoding,
+ * into a binary string.
+ */
+function encode(value, enc) {
+  if (value !== null && typeof value === "object") {
+    enc = value.encoding;
+    value = value.text;
+  }
+  checkEncoding(enc);
+  return iconv.encode(String(value), enc).toString("binary");
+}
+
+/**
+ * Like encode, but truncate the text to make it fit into a field
+ * of len bytes together with the terminating zero byte,
+ * warning about it if necessary.
+ */
+function encodeFixed(value, enc, len, warn) {
+  let res = encode(value, enc);
+  if (res.length < len)
+    return res;
+  if (value !== null && typeof value === "object") {
+    enc = value.encoding;
+    value = value.text;
+  }
+  const chars = Array.from(String(value));
+  while (res.length >= len) {
+    chars.pop();
+    res = iconv.encode(chars.join(""), enc).toString("binary");
+  }
+  warn(`"${value}" is longer than ${len - 1} bytes, ` +
+       `truncated to "${chars.join("")}"`);
+  return res;
+}
+
+module.exports.decode = decode;
+module.exports.encode = encode;
+module.exports.encodeFixed = encodeFixed;
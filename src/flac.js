@@ -0,0 +1,643 @@
+"use strict";
+
+const crypto = require("crypto");
+
+// https://xiph.org/flac/format.html
+
+const blockSize = 4096;
+
+const crc8Table = [];
+const crc16Table = [];
+for (let i = 0; i < 256; ++i) {
+  let c8 = i, c16 = i << 8;
+  for (let j = 0; j < 8; ++j) {
+    c8 = (c8 & 0x80) ? ((c8 << 1) ^ 0x07) & 0xff : (c8 << 1) & 0xff;
+    c16 = (c16 & 0x8000) ? ((c16 << 1) ^ 0x8005) & 0xffff : (c16 << 1) & 0xffff;
+  }
+  crc8Table.push(c8);
+  crc16Table.push(c16);
+}
+
+function crc8(buf, start, end) {
+  let crc = 0;
+  for (let i = start; i < end; ++i)
+    crc = crc8Table[crc ^ buf[i]];
+  return crc;
+}
+
+function crc16(buf, start, end) {
+  let crc = 0;
+  for (let i = start; i < end; ++i)
+    crc = ((crc << 8) & 0xffff) ^ crc16Table[(crc >> 8) ^ buf[i]];
+  return crc;
+}
+
+class BitWriter {
+
+  constructor(size) {
+    this.buf = Buffer.alloc(size || 4096);
+    this.pos = 0;
+    this.acc = 0;
+    this.bits = 0;
+  }
+
+  write(value, n) {
+    if (n > 16) {
+      this.write(Math.floor(value / 65536), n - 16);
+      value &= 0xffff;
+      n = 16;
+    }
+    if (this.pos + 4 > this.buf.length) {
+      const buf = Buffer.alloc(this.buf.length * 2);
+      this.buf.copy(buf);
+      this.buf = buf;
+    }
+    this.acc = (this.acc << n) | (value & ((1 << n) - 1));
+    this.bits += n;
+    while (this.bits >= 8) {
+      this.bits -= 8;
+      this.buf[this.pos++] = (this.acc >>> this.bits) & 0xff;
+    }
+    this.acc &= (1 << this.bits) - 1;
+  }
+
+  writeUnary(q) {
+    for (; q >= 16; q -= 16)
+      this.write(0, 16);
+    this.write(1, q + 1);
+  }
+
+  writeRice(v, k) {
+    const u = v < 0 ? -2 * v - 1 : 2 * v;
+    const m = Math.pow(2, k);
+    this.writeUnary(Math.floor(u / m));
+    if (k) this.write(u % m, k);
+  }
+
+  align() {
+    if (this.bits)
+      this.write(0, 8 - this.bits);
+  }
+
+  bytes() {
+    return this.buf.slice(0, this.pos);
+  }
+
+}
+
+class BitReader {
+
+  constructor(buf, pos) {
+    this.buf = buf;
+    this.pos = pos || 0;
+    this.bit = 0;
+  }
+
+  read(n) {
+    let res = 0;
+    while (n > 0) {
+      if (this.pos >= this.buf.length)
+        throw Error("Unexpected end of FLAC data");
+      const avail = 8 - this.bit;
+      const k = avail < n ? avail : n;
+      const v = (this.buf[this.pos] >> (avail - k)) & ((1 << k) - 1);
+      res = res * (1 << k) + v;
+      n -= k;
+      this.bit += k;
+      if (this.bit === 8) {
+        this.bit = 0;
+        this.pos++;
+      }
+    }
+    return res;
+  }
+
+  readSigned(n) {
+    if (n === 0) return 0;
+    const v = this.read(n);
+    return v >= Math.pow(2, n - 1) ? v - Math.pow(2, n) : v;
+  }
+
+  readUnary() {
+    let n = 0;
+    for (;;) {
+      if (this.pos >= this.buf.length)
+        throw Error("Unexpected end of FLAC data");
+      const byte = (this.buf[this.pos] << this.bit) & 0xff;
+      if (byte) {
+        const lz = Math.clz32(byte) - 24;
+        n += lz;
+        this.bit += lz + 1;
+        if (this.bit === 8) {
+          this.bit = 0;
+          this.pos++;
+        }
+        return n;
+      }
+      n += 8 - this.bit;
+      this.bit = 0;
+      this.pos++;
+    }
+  }
+
+  readRice(k) {
+    const u = this.readUnary() * Math.pow(2, k) + this.read(k);
+    return (u % 2) ? -(u + 1) / 2 : u / 2;
+  }
+
+  align() {
+    if (this.bit) {
+      this.bit = 0;
+      this.pos++;
+    }
+  }
+
+}
+
+function md5(channels, bitsPerSample) {
+  const width = (bitsPerSample + 7) >> 3;
+  const n = channels.length ? channels[0].length : 0;
+  const buf = Buffer.alloc(n * channels.length * width);
+  let pos = 0;
+  for (let i = 0; i < n; ++i) {
+    for (let c of channels) {
+      buf.writeIntLE(c[i], pos, width);
+      pos += width;
+    }
+  }
+  return crypto.createHash("md5").update(buf).digest();
+}
+
+/*
+ * Encoding
+ */
+
+function fixedResidual(x, order) {
+  const n = x.length;
+  const res = new Int32Array(n - order);
+  for (let i = order; i < n; ++i) {
+    let r;
+    switch (order) {
+      case 0: r = x[i]; break;
+      case 1: r = x[i] - x[i-1]; break;
+      case 2: r = x[i] - 2*x[i-1] + x[i-2]; break;
+      case 3: r = x[i] - 3*x[i-1] + 3*x[i-2] - x[i-3]; break;
+      case 4: r = x[i] - 4*x[i-1] + 6*x[i-2] - 4*x[i-3] + x[i-4]; break;
+    }
+    res[i - order] = r;
+  }
+  return res;
+}
+
+function riceCost(count, sum, maxParam) {
+  let k = 0;
+  if (count && sum > count)
+    k = Math.floor(Math.log2(sum / count));
+  if (k > maxParam) k = maxParam;
+  let best = null;
+  for (let j = Math.max(0, k - 1); j <= Math.min(maxParam, k + 1); ++j) {
+    const bits = count * (j + 1) + Math.floor(sum / Math.pow(2, j));
+    if (!best || bits < best.bits)
+      best = {param: j, bits};
+  }
+  return best;
+}
+
+function ricePlan(residual, n, order) {
+  let maxOrder = 0;
+  while (maxOrder < 8 &&
+         (n & ((1 << (maxOrder + 1)) - 1)) === 0 &&
+         (n >> (maxOrder + 1)) > order)
+    ++maxOrder;
+  let sums = [], counts = [];
+  const parts = 1 << maxOrder;
+  for (let p = 0, i = 0; p < parts; ++p) {
+    const end = ((p + 1) * (n >> maxOrder)) - order;
+    let sum = 0, count = 0;
+    for (; i < end; ++i, ++count) {
+      const v = residual[i];
+      sum += v < 0 ? -2 * v - 1 : 2 * v;
+    }
+    sums.push(sum);
+    counts.push(count);
+  }
+  let best = null;
+  for (let po = maxOrder; po >= 0; --po) {
+    const params = [];
+    let bits = 6, rice2 = false;
+    for (let p = 0; p < sums.length; ++p) {
+      const c = riceCost(counts[p], sums[p], 30);
+      if (c.param > 14) rice2 = true;
+      params.push(c.param);
+      bits += c.bits;
+    }
+    bits += sums.length * (rice2 ? 5 : 4);
+    if (!best || bits < best.bits)
+      best = {partitionOrder: po, params, rice2, bits};
+    const s = [], c = [];
+    for (let p = 0; p < sums.length; p += 2) {
+      s.push(sums[p] + sums[p + 1]);
+      c.push(counts[p] + counts[p + 1]);
+    }
+    sums = s;
+    counts = c;
+  }
+  return best;
+}
+
+function subframePlan(x, bps) {
+  const n = x.length;
+  let constant = true;
+  for (let i = 1; i < n && constant; ++i)
+    if (x[i] !== x[0]) constant = false;
+  if (constant)
+    return {type: "constant", bits: 8 + bps};
+  let best = {type: "verbatim", bits: 8 + bps * n};
+  for (let order = 0; order <= 4 && order < n; ++order) {
+    const residual = fixedResidual(x, order);
+    const rice = ricePlan(residual, n, order);
+    const bits = 8 + order * bps + rice.bits;
+    if (bits < best.bits)
+      best = {type: "fixed", order, residual, rice, bits};
+  }
+  return best;
+}
+
+function writeSubframe(w, x, bps, plan) {
+  switch (plan.type) {
+    case "constant":
+      w.write(0, 8);
+      w.write(x[0], bps);
+      return;
+    case "verbatim":
+      w.write(2, 8);
+      for (let i = 0; i < x.length; ++i)
+        w.write(x[i], bps);
+      return;
+  }
+  w.write((8 | plan.order) << 1, 8);
+  for (let i = 0; i < plan.order; ++i)
+    w.write(x[i], bps);
+  const rice = plan.rice;
+  const paramBits = rice.rice2 ? 5 : 4;
+  w.write(rice.rice2 ? 1 : 0, 2);
+  w.write(rice.partitionOrder, 4);
+  const size = x.length >> rice.partitionOrder;
+  let i = 0;
+  for (let p = 0; p < rice.params.length; ++p) {
+    const k = rice.params[p];
+    w.write(k, paramBits);
+    const end = (p + 1) * size - plan.order;
+    for (; i < end; ++i)
+      w.writeRice(plan.residual[i], k);
+  }
+}
+
+function stereoCandidates(l, r) {
+  const n = l.length;
+  const side = new Int32Array(n), mid = new Int32Array(n);
+  for (let i = 0; i < n; ++i) {
+    side[i] = l[i] - r[i];
+    mid[i] = (l[i] + r[i]) >> 1;
+  }
+  return [
+    {code: 1, channels: [l, r], extra: [0, 0]},
+    {code: 8, channels: [l, side], extra: [0, 1]},
+    {code: 9, channels: [side, r], extra: [1, 0]},
+    {code: 10, channels: [mid, side], extra: [0, 1]},
+  ];
+}
+
+function writeUtf8(w, v) {
+  if (v < 0x80) {
+    w.write(v, 8);
+    return;
+  }
+  let n = 2;
+  while (v >= Math.pow(2, 5 * n + 1))
+    ++n;
+  const shift = Math.pow(2, 6 * (n - 1));
+  w.write(((0xff00 >> n) & 0xff) | Math.floor(v / shift), 8);
+  for (let i = n - 2; i >= 0; --i)
+    w.write(0x80 | (Math.floor(v / Math.pow(2, 6 * i)) & 0x3f), 8);
+}
+
+const sampleRates = [
+  0, 88200, 176400, 192000, 8000, 16000, 22050, 24000,
+  32000, 44100, 48000, 96000,
+];
+
+const sampleSizeCodes = {8: 1, 12: 2, 16: 4, 20: 5, 24: 6, 32: 7};
+
+function sampleRateCode(rate) {
+  const i = sampleRates.indexOf(rate);
+  if (i > 0)
+    return {code: i, bits: 0};
+  if (rate < 65536)
+    return {code: 13, bits: 16, value: rate};
+  if (rate % 10 === 0 && rate / 10 < 65536)
+    return {code: 14, bits: 16, value: rate / 10};
+  return {code: 0, bits: 0};
+}
+
+function encodeFrame(number, channels, bps, rate) {
+  const n = channels[0].length;
+  const w = new BitWriter(n * channels.length * 4 + 64);
+  w.write(0xfff8, 16);
+  let bsCode, bsExtra = 0;
+  if (n === blockSize) {
+    bsCode = 12;
+  } else if (n <= 256) {
+    bsCode = 6;
+    bsExtra = 8;
+  } else {
+    bsCode = 7;
+    bsExtra = 16;
+  }
+  w.write(bsCode, 4);
+  w.write(rate.code, 4);
+  let candidates = [
+    {code: channels.length - 1, channels, extra: channels.map(c => 0)}
+  ];
+  if (channels.length === 2)
+    candidates = stereoCandidates(channels[0], channels[1]);
+  let best = null;
+  for (let cand of candidates) {
+    cand.plans = cand.channels.map(
+      (c, i) => subframePlan(c, bps + cand.extra[i]));
+    cand.bits = cand.plans.reduce((a, p) => a + p.bits, 0);
+    if (!best || cand.bits < best.bits)
+      best = cand;
+  }
+  w.write(best.code, 4);
+  w.write(sampleSizeCodes[bps] || 0, 3);
+  w.write(0, 1);
+  writeUtf8(w, number);
+  if (bsExtra)
+    w.write(n - 1, bsExtra);
+  if (rate.bits)
+    w.write(rate.value, rate.bits);
+  w.write(crc8(w.buf, 0, w.pos), 8);
+  for (let i = 0; i < best.channels.length; ++i)
+    writeSubframe(w, best.channels[i], bps + best.extra[i], best.plans[i]);
+  w.align();
+  w.write(crc16(w.buf, 0, w.pos), 16);
+  return w.bytes();
+}
+
+/**
+ * Encode PCM audio as a FLAC stream.
+ * The audio is an object with sampleRate, bitsPerSample and channels,
+ * the latter being an array of Int32Array objects of equal length.
+ */
+function encode(audio) {
+  const channels = audio.channels;
+  const bps = audio.bitsPerSample;
+  const total = channels.length ? channels[0].length : 0;
+  if (channels.length < 1 || channels.length > 8)
+    throw Error("FLAC supports 1 to 8 channels");
+  if (bps < 4 || bps > 24)
+    throw Error("FLAC encoder supports 4 to 24 bits per sample");
+  const rate = sampleRateCode(audio.sampleRate);
+  const frames = [];
+  let minFrame = 0, maxFrame = 0;
+  for (let pos = 0, i = 0; pos < total; pos += blockSize, ++i) {
+    const frame = encodeFrame(
+      i, channels.map(c => c.subarray(pos, pos + blockSize)), bps, rate);
+    if (!minFrame || frame.length < minFrame) minFrame = frame.length;
+    if (frame.length > maxFrame) maxFrame = frame.length;
+    frames.push(frame);
+  }
+  const w = new BitWriter(42);
+  w.write(0x664c6143, 32); // "fLaC"
+  w.write(0x80, 8); // last metadata block, STREAMINFO
+  w.write(34, 24);
+  w.write(blockSize, 16);
+  w.write(blockSize, 16);
+  w.write(minFrame, 24);
+  w.write(maxFrame, 24);
+  w.write(audio.sampleRate < 0x100000 ? audio.sampleRate : 0, 20);
+  w.write(channels.length - 1, 3);
+  w.write(bps - 1, 5);
+  w.write(total, 36);
+  frames.unshift(w.bytes(), md5(channels, bps));
+  return Buffer.concat(frames);
+}
+
+/*
+ * Decoding
+ */
+
+function decodeResidual(r, res, n, order) {
+  const method = r.read(2);
+  if (method > 1)
+    throw Error("Reserved FLAC residual coding method");
+  const paramBits = method ? 5 : 4;
+  const escape = (1 << paramBits) - 1;
+  const po = r.read(4);
+  const size = n >> po;
+  let i = order;
+  for (let p = 0; p < (1 << po); ++p) {
+    const k = r.read(paramBits);
+    const end = (p + 1) * size;
+    if (k === escape) {
+      const bits = r.read(5);
+      for (; i < end; ++i)
+        res[i] = r.readSigned(bits);
+    } else {
+      for (; i < end; ++i)
+        res[i] = r.readRice(k);
+    }
+  }
+}
+
+const fixedCoefs = [[], [1], [2, -1], [3, -3, 1], [4, -6, 4, -1]];
+
+function decodeSubframe(r, n, bps) {
+  if (r.read(1))
+    throw Error("Invalid FLAC subframe header");
+  const type = r.read(6);
+  let wasted = 0;
+  if (r.read(1))
+    wasted = r.readUnary() + 1;
+  bps -= wasted;
+  const x = new Float64Array(n);
+  if (type === 0) {
+    x.fill(r.readSigned(bps));
+  } else if (type === 1) {
+    for (let i = 0; i < n; ++i)
+      x[i] = r.readSigned(bps);
+  } else {
+    let order, coefs, shift = 0;
+    if (type >= 8 && type <= 12) {
+      order = type - 8;
+      coefs = fixedCoefs[order];
+    } else if (type >= 32) {
+      order = (type & 31) + 1;
+    } else {
+      throw Error("Reserved FLAC subframe type " + type);
+    }
+    if (order > n)
+      throw Error("FLAC predictor order exceeds block size");
+    for (let i = 0; i < order; ++i)
+      x[i] = r.readSigned(bps);
+    if (!coefs) {
+      const precision = r.read(4) + 1;
+      if (precision === 16)
+        throw Error("Invalid FLAC LPC precision");
+      shift = r.readSigned(5);
+      if (shift < 0)
+        throw Error("Negative FLAC LPC shift");
+      coefs = [];
+      for (let i = 0; i < order; ++i)
+        coefs.push(r.readSigned(precision));
+    }
+    decodeResidual(r, x, n, order);
+    const div = Math.pow(2, shift);
+    for (let i = order; i < n; ++i) {
+      let sum = 0;
+      for (let j = 0; j < order; ++j)
+        sum += coefs[j] * x[i - j - 1];
+      x[i] += Math.floor(sum / div);
+    }
+  }
+  if (wasted) {
+    const mul = Math.pow(2, wasted);
+    for (let i = 0; i < n; ++i)
+      x[i] *= mul;
+  }
+  return x;
+}
+
+const sampleSizes = [0, 8, 12, null, 16, 20, 24, 32];
+
+function decodeFrame(r, info) {
+  const start = r.pos;
+  if (r.read(15) !== 0x7ffc)
+    throw Error("Lost FLAC frame sync");
+  r.read(1); // blocking strategy
+  const bsCode = r.read(4);
+  const rateCode = r.read(4);
+  const chCode = r.read(4);
+  const sizeCode = r.read(3);
+  r.read(1);
+  let v = r.read(8);
+  for (let mask = 0x40; v & 0x80 && mask > 1; mask >>= 1) {
+    if (!(v & mask)) break;
+    r.read(8);
+  }
+  let n;
+  if (bsCode === 0) throw Error("Reserved FLAC block size");
+  else if (bsCode === 1) n = 192;
+  else if (bsCode <= 5) n = 576 << (bsCode - 2);
+  else if (bsCode === 6) n = r.read(8) + 1;
+  else if (bsCode === 7) n = r.read(16) + 1;
+  else n = 256 << (bsCode - 8);
+  if (rateCode === 12) r.read(8);
+  else if (rateCode === 13 || rateCode === 14) r.read(16);
+  else if (rateCode === 15) throw Error("Invalid FLAC sample rate");
+  let bps = sampleSizes[sizeCode];
+  if (bps === null) throw Error("Reserved FLAC sample size");
+  if (bps === 0) bps = info.bitsPerSample;
+  if (crc8(r.buf, start, r.pos) !== r.read(8))
+    throw Error("FLAC frame header CRC mismatch");
+  let channels;
+  if (chCode < 8) {
+    channels = [];
+    for (let c = 0; c <= chCode; ++c)
+      channels.push(decodeSubframe(r, n, bps));
+  } else if (chCode <= 10) {
+    const a = decodeSubframe(r, n, chCode === 9 ? bps + 1 : bps);
+    const b = decodeSubframe(r, n, chCode === 9 ? bps : bps + 1);
+    for (let i = 0; i < n; ++i) {
+      if (chCode === 8) {
+        b[i] = a[i] - b[i];
+      } else if (chCode === 9) {
+        a[i] = a[i] + b[i];
+      } else {
+        const mid = a[i] * 2 + (b[i] & 1);
+        a[i] = (mid + b[i]) / 2;
+        b[i] = (mid - b[i]) / 2;
+      }
+    }
+    channels = [a, b];
+  } else {
+    throw Error("Reserved FLAC channel assignment");
+  }
+  r.align();
+  if (crc16(r.buf, start, r.pos) !== r.read(16))
+    throw Error("FLAC frame CRC mismatch");
+  return channels;
+}
+
+/**
+ * Decode a FLAC stream into PCM audio,
+ * in the format accepted by the encode function.
+ */
+function decode(buf) {
+  let pos = 0;
+  if (buf.toString("ascii", 0, 3) === "ID3")
+    pos = 10 + ((buf[6] << 21) | (buf[7] << 14) | (buf[8] << 7) | buf[9]);
+  if (buf.toString("ascii", pos, pos + 4) !== "fLaC")
+    throw Error("Not a FLAC file");
+  pos += 4;
+  let info = null;
+  for (let last = false; !last;) {
+    if (pos + 4 > buf.length)
+      throw Error("Unexpected end of FLAC metadata");
+    last = !!(buf[pos] & 0x80);
+    const type = buf[pos] & 0x7f;
+    const len = buf.readUIntBE(pos + 1, 3);
+    if (type === 0) {
+      const r = new BitReader(buf, pos + 4);
+      r.read(16);
+      r.read(16);
+      r.read(24);
+      r.read(24);
+      info = {
+        sampleRate: r.read(20),
+        channels: r.read(3) + 1,
+        bitsPerSample: r.read(5) + 1,
+        totalSamples: r.read(36),
+        md5: buf.slice(pos + 4 + 18, pos + 4 + 34),
+      };
+    }
+    pos += 4 + len;
+  }
+  if (!info)
+    throw Error("Missing FLAC STREAMINFO block");
+  const r = new BitReader(buf, pos);
+  const parts = [];
+  let total = 0;
+  while (r.pos < buf.length &&
+         (!info.totalSamples || total < info.totalSamples)) {
+    const frame = decodeFrame(r, info);
+    if (frame.length !== info.channels)
+      throw Error("FLAC channel count changed within stream");
+    parts.push(frame);
+    total += frame[0].length;
+  }
+  if (info.totalSamples && total !== info.totalSamples)
+    throw Error("FLAC stream length does not match STREAMINFO");
+  const channels = [];
+  for (let c = 0; c < info.channels; ++c) {
+    const res = new Int32Array(total);
+    let offset = 0;
+    for (let frame of parts) {
+      res.set(frame[c], offset);
+      offset += frame[c].length;
+    }
+    channels.push(res);
+  }
+  if (info.md5.some(b => b !== 0) &&
+      !md5(channels, info.bitsPerSample).equals(info.md5))
+    throw Error("FLAC MD5 signature mismatch");
+  return {
+    sampleRate: info.sampleRate,
+    bitsPerSample: info.bitsPerSample,
+    channels,
+  };
+}
+
+module.exports.decode = decode;
+module.exports.encode = encode;
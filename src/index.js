@@ -0,0 +1,350 @@
+"use strict";
+
+const fs = require("fs");
+
+const SF2 = require("./SF2");
+const differ = require("./diff");
+const dls = require("./dls");
+const YamlGen = require("./sf2toyaml").YamlGen;
+const YamlParse = require("./yamltosf2").YamlParse;
+const merge = require("./merge");
+const merge3 = require("./merge3");
+const midi = require("./midi");
+const model = require("./model");
+const sfz = require("./sfz");
+const subsetter = require("./subset");
+const synth = require("./synth");
+const validator = require("./validate");
+const verify = require("./verify");
+
+function readBuffer(src) {
+  if (Buffer.isBuffer(src))
+    return Promise.resolve(src);
+  return new Promise((resolve, reject) =>
+    fs.readFile(src, (err, buf) => err ? reject(err) : resolve(buf)));
+}
+
+/**
+ * Convert an SF2 file, given as a buffer or a file name,
+ * into its YAML representation in the given directory.
+ * Resolves to the YamlGen instance once all files have been written.
+ * With the verify option, the result is compiled again in memory
+ * and the promise is rejected unless that reproduces the input.
+ */
+function sf2ToYaml(src, dir, options) {
+  if (options && options.verify) {
+    return verifyRoundTrip(src, dir, options).then(res => {
+      if (res.difference)
+        throw Error("Round trip verification failed: " +
+                    res.difference.message);
+      return res.generator;
+    });
+  }
+  return openSF2(src, options).then(sf2 =>
+    new YamlGen(sf2, dir, options).generate().then(
+      res => sf2.close().then(() => res),
+      err => sf2.close().then(() => { throw err; })));
+}
+
+/**
+ * Convert an SF2 file to YAML and back again without touching the disk,
+ * unless dir is given, in which case the YAML files are written there.
+ * Resolves to an object whose difference member is null
+ * if the round trip reproduced the input exactly,
+ * or describes the first difference otherwise.
+ */
+function verifyRoundTrip(src, dir=null, options={}) {
+  let input, gen;
+  return readBuffer(src)
+    .then(buf => {
+      input = buf;
+      options = Object.assign({}, options, {verify: true});
+      return new YamlGen(new SF2.SF2(buf), dir, options).generate();
+    })
+    .then(res => {
+      gen = res;
+      return new YamlParse(null, {files: gen.verify, warn: options.warn})
+        .compile();
+    })
+    .then(output => ({
+      generator: gen,
+      output,
+      difference: verify.compare(input, output),
+    }));
+}
+
+/**
+ * Compile the YAML representation in the given directory
+ * into an SF2 file. Resolves to a buffer containing that file.
+ */
+function yamlToSf2(dir, options) {
+  return Promise.resolve()
+    .then(() => new YamlParse(dir, options).compile());
+}
+
+/**
+ * Compile the YAML representation in the given directory
+ * into the SF2 file out, which is written incrementally,
+ * so that the sample data need not be kept in memory.
+ */
+function yamlToSf2File(dir, out, options) {
+  return Promise.resolve()
+    .then(() => new YamlParse(dir, options).compileTo(out));
+}
+
+/**
+ * Write YAML files to directory out which have the content of b
+ * but follow the order of a as closely as possible.
+ */
+function mergeYaml(a, b, out) {
+  return Promise.resolve()
+    .then(() => merge.mergeDirs(a, b, out));
+}
+
+/**
+ * Check a soundfont against the rules of the SoundFont specification.
+ * The soundfont may be given as a parsed SF2 object, a buffer,
+ * the name of an SF2 file or the name of a YAML directory.
+ * Resolves to a list of issues, each with severity, path and message.
+ */
+function validate(src, options={}) {
+  if (src instanceof SF2.SF2)
+    return Promise.resolve().then(() => validator.validate(src, options));
+  if (Buffer.isBuffer(src))
+    return Promise.resolve()
+      .then(() => validator.validate(new SF2.SF2(src), options));
+  return new Promise((resolve, reject) => fs.stat(
+    src, (err, st) => err ? reject(err) : resolve(st)))
+    .then(st => st.isDirectory() ?
+          validateDir(src, options) : readBuffer(src).then(
+            buf => validator.validate(new SF2.SF2(buf), options)));
+}
+
+/**
+ * Load a soundfont given as a parsed SF2 object, a buffer,
+ * the name of an SF2 file or the name of a YAML directory,
+ * which will be compiled. Resolves to an SF2 object.
+ */
+function loadSF2(src, options) {
+  if (src instanceof SF2.SF2)
+    return Promise.resolve(src);
+  if (Buffer.isBuffer(src))
+    return Promise.resolve().then(() => new SF2.SF2(src));
+  return new Promise((resolve, reject) => fs.stat(
+    src, (err, st) => err ? reject(err) : resolve(st)))
+    .then(st => st.isDirectory() ?
+          yamlToSf2(src, options) : readBuffer(src))
+    .then(buf => new SF2.SF2(buf));
+}
+
+/**
+ * Open a soundfont like loadSF2, except that SF2 files given by name
+ * are parsed lazily, to keep large sample data out of memory.
+ * The result must be closed once it is no longer needed.
+ */
+function openSF2(src, options) {
+  if (typeof src !== "string")
+    return loadSF2(src, options);
+  return new Promise((resolve, reject) => fs.stat(
+    src, (err, st) => err ? reject(err) : resolve(st)))
+    .then(st => st.isDirectory() ?
+          loadSF2(src, options) : SF2.SF2.open(src));
+}
+
+/**
+ * Compare two soundfonts semantically.
+ * Both may be given in any form accepted by loadSF2.
+ * Resolves to a list of changes, see diff.js for details.
+ */
+function diff(a, b, options={}) {
+  return Promise.all([loadSF2(a, options), loadSF2(b, options)])
+    .then(([a, b]) => differ.diff(
+      differ.model(a, options), differ.model(b, options)));
+}
+
+/**
+ * Render a soundfont as canonical text, for use as git textconv filter.
+ */
+function textconv(src, options={}) {
+  return loadSF2(src, options)
+    .then(sf2 => differ.textconv(differ.model(sf2, options)));
+}
+
+/**
+ * Render a single note of a preset to audio.
+ * The soundfont may be given in any form accepted by loadSF2,
+ * see synth.renderNote for the options and the result.
+ */
+function renderNote(src, options={}) {
+  return loadSF2(src, options)
+    .then(sf2 => synth.renderNote(sf2, options));
+}
+
+/**
+ * Render a Standard MIDI File, given as a buffer or a file name,
+ * with a soundfont in any form accepted by loadSF2.
+ * See midi.render for the options and the result.
+ */
+function renderMidi(song, src, options={}) {
+  return Promise.all([readBuffer(song), loadSF2(src, options)])
+    .then(([buf, sf2]) => midi.render(sf2, buf, options));
+}
+
+/**
+ * Convert a soundfont in any form accepted by loadSF2 into SFZ,
+ * writing an .sfz file per preset to directory dir
+ * and the samples they use to its wav subdirectory.
+ * Resolves to the conversion report, a list of entries with
+ * file, region and message for everything that could not be converted.
+ */
+function sf2ToSfz(src, dir, options={}) {
+  return openSF2(src, options).then(sf2 =>
+    new sfz.SfzGen(sf2, dir, options).generate().then(
+      res => sf2.close().then(() => res),
+      err => sf2.close().then(() => { throw err; })));
+}
+
+/**
+ * Import SFZ files, given by name, as presets of a new soundfont,
+ * numbered consecutively from the bank and program options.
+ * Opcodes without SF2 equivalent are reported to the warn option.
+ * Resolves to a SoundFont object, see model.js.
+ */
+function loadSfz(files, options={}) {
+  return Promise.resolve()
+    .then(() => new sfz.SfzParse(options).load([].concat(files)));
+}
+
+/**
+ * Import SFZ files as by loadSfz and write the YAML representation
+ * of the result to the given directory.
+ */
+function sfzToYaml(files, dir, options={}) {
+  return loadSfz(files, options).then(font => font.toYaml(dir, options));
+}
+
+/**
+ * Import SFZ files as by loadSfz. Resolves to a buffer with the SF2 file.
+ */
+function sfzToSf2(files, options={}) {
+  return loadSfz(files, options).then(font => font.toBuffer(options));
+}
+
+/**
+ * Convert a soundfont in any form accepted by loadSF2 into a DLS file,
+ * of Level 2 unless the level option is 1, and write it to out.
+ * Resolves to the conversion report, a list of entries with
+ * instrument, region and message for everything that could not be
+ * converted. Instrument and region are null for sample data.
+ */
+function sf2ToDls(src, out, options={}) {
+  return openSF2(src, options).then(sf2 => {
+    const gen = new dls.DlsGen(sf2, options);
+    return gen.generate().then(buf => new Promise((resolve, reject) =>
+      fs.writeFile(out, buf, err => err ? reject(err) : resolve())))
+      .then(() => sf2.close().then(() => gen.report),
+            err => sf2.close().then(() => { throw err; }));
+  });
+}
+
+/**
+ * Import a DLS file, given as a buffer or a file name.
+ * Parts without SF2 equivalent are reported to the warn option.
+ * Resolves to a SoundFont object, see model.js.
+ */
+function loadDls(src, options={}) {
+  return readBuffer(src).then(buf => new dls.DlsParse(options).parse(buf));
+}
+
+/**
+ * Import a DLS file as by loadDls and write the YAML representation
+ * of the result to the given directory.
+ */
+function dlsToYaml(src, dir, options={}) {
+  return loadDls(src, options).then(font => font.toYaml(dir, options));
+}
+
+/**
+ * Import a DLS file as by loadDls. Resolves to a buffer with the SF2 file.
+ */
+function dlsToSf2(src, options={}) {
+  return loadDls(src, options).then(font => font.toBuffer(options));
+}
+
+/**
+ * Extract the presets matched by any of the selectors from a soundfont
+ * in any form accepted by loadSF2, see subset.js for the selector syntax.
+ * Resolves to a SoundFont object with only the instruments and samples
+ * these presets use, whose toBuffer method rebuilds the sample data.
+ * SF2 files are parsed lazily, so only the samples used are read.
+ */
+function subset(src, selectors, options={}) {
+  return openSF2(src, options).then(sf2 => Promise.resolve()
+    .then(() => subsetter.subsetSF2(sf2, [].concat(selectors), options))
+    .then(res => sf2.close().then(() => res),
+          err => sf2.close().then(() => { throw err; })));
+}
+
+function validateDir(dir, options) {
+  const issues = [];
+  const parse = new YamlParse(dir, {
+    warn: msg => issues.push(new validator.Issue("warning", dir, msg)),
+  });
+  return parse.compile().then(
+    buf => Promise.all([
+      parse.readYaml("phdr"),
+      parse.readYaml("inst"),
+      parse.readYaml("shdr"),
+    ]).then(([presets, instruments, samples]) => {
+      const yaml = {presets, instruments, samples};
+      return issues.concat(validator.validate(
+        new SF2.SF2(buf), Object.assign({yaml}, options)));
+    }),
+    err => issues.concat(new validator.Issue("error", dir, err.message)));
+}
+
+/**
+ * Three-way merge of the YAML directories ours and theirs,
+ * both derived from base, writing the result to directory out.
+ * Resolves to a list of conflicts, each with file, path,
+ * and the base, ours and theirs values.
+ * Where there is a conflict, the value from ours is used.
+ */
+function mergeYaml3(base, ours, theirs, out) {
+  return Promise.resolve()
+    .then(() => merge3.mergeDirs(base, ours, theirs, out));
+}
+
+module.exports.Instrument = model.Instrument;
+module.exports.Modulator = model.Modulator;
+module.exports.Preset = model.Preset;
+module.exports.SF2 = SF2;
+module.exports.Sample = model.Sample;
+module.exports.SoundFont = model.SoundFont;
+module.exports.Synth = synth.Synth;
+module.exports.YamlGen = YamlGen;
+module.exports.YamlParse = YamlParse;
+module.exports.Zone = model.Zone;
+module.exports.diff = diff;
+module.exports.dlsToSf2 = dlsToSf2;
+module.exports.dlsToYaml = dlsToYaml;
+module.exports.formatDiff = differ.format;
+module.exports.loadDls = loadDls;
+module.exports.loadSF2 = loadSF2;
+module.exports.loadSfz = loadSfz;
+module.exports.renderMidi = renderMidi;
+module.exports.renderNote = renderNote;
+module.exports.sf2ToDls = sf2ToDls;
+module.exports.sf2ToSfz = sf2ToSfz;
+module.exports.sf2ToYaml = sf2ToYaml;
+module.exports.sfzToSf2 = sfzToSf2;
+module.exports.sfzToYaml = sfzToYaml;
+module.exports.subset = subset;
+module.exports.textconv = textconv;
+module.exports.toWav = synth.toWav;
+module.exports.validate = validate;
+module.exports.yamlToSf2 = yamlToSf2;
+module.exports.yamlToSf2File = yamlToSf2File;
+module.exports.mergeYaml = mergeYaml;
+module.exports.mergeYaml3 = mergeYaml3;
+module.exports.verifyRoundTrip = verifyRoundTrip;
@@ -3,12 +3,16 @@
  * the semantic content of B but with the order of generators from A.
  * I.e. something that looks as much like A as possible in the text
  * but behaves exactly like B in an implementation which ignores order.
+ * The same applies to modulators, zones and the keys of all objects.
  */
 
 const fs = require("fs");
 const path = require("path");
 const yaml = require("js-yaml");
 
+const SF2 = require("./SF2");
+const merge3 = require("./merge3");
+
 const defaults = yaml.safeLoad(
   fs.readFileSync(require.resolve("./defaults.yaml")));
 
@@ -21,31 +25,50 @@ function readYaml(path) {
   });
 }
 
+function readOptional(path) {
+  return readYaml(path).catch(err => {
+    if (err.code !== "ENOENT") throw err;
+    return undefined;
+  });
+}
+
+function mkdir(dir) {
+  return new Promise((resolve, reject) => fs.mkdir(
+    dir, {recursive: true}, err => err ? reject(err) : resolve()));
+}
+
 function mergeDirs(a, b, c) {
-  return Promise.all([
+  return mkdir(c).then(() => Promise.all([
     mergeDir(a, b, c, "phdr.yml", "presets"),
     mergeDir(a, b, c, "inst.yml", "instruments"),
-  ]);
+    mergeDir(a, b, c, "shdr.yml", "samples"),
+    mergeFiles(
+      path.join(a, "INFO.yml"),
+      path.join(b, "INFO.yml"),
+      path.join(c, "INFO.yml")),
+  ]));
 }
 
 function mergeDir(a, b, c, index, dir) {
-  return readYaml(path.join(b, index))
-    .then(lst => Promise.all(lst.map(itm => mergeFiles(
+  return Promise.all([
+    readYaml(path.join(b, index)),
+    mkdir(path.join(c, dir)),
+  ]).then(([lst]) => Promise.all(lst.map(itm => mergeFiles(
       path.join(a, dir, itm + ".yml"),
       path.join(b, dir, itm + ".yml"),
       path.join(c, dir, itm + ".yml")))));
 }
 
 function mergeFiles(a, b, c) {
-  return Promise.all([readYaml(a), readYaml(b)])
+  return Promise.all([readOptional(a), readYaml(b)])
     .then(([a, b]) => {
-      if (a.zones && b.zones && a.zones.length === b.zones.length) {
+      if (a === undefined)
+        return b; // only present in new tree
+      if (a.zones && b.zones)
         b.zones = mergeZones(a.zones, b.zones);
-      }
-      if (a.global && b.global) {
+      if (a.global && b.global)
         b.global = mergeZone(a.global, b.global);
-      }
-      return b;
+      return mergeKeys(a, b);
     })
     .then(data => new Promise((resolve, reject) => {
       fs.writeFile(c, yaml.safeDump(data), err => {
@@ -55,18 +78,56 @@ function mergeFiles(a, b, c) {
     }));
 }
 
-function mergeZones(a, b) {
+// Items of b, in the order of a, with new ones after their predecessor.
+function mergeOrder(a, b, merge) {
+  const inB = new Map(b.map(e => [e.key, e]));
   const res = [];
-  for (let i = 0; i < a.length; ++i) {
-    res[i] = mergeZone(a[i], b[i]);
+  for (let e of a)
+    if (inB.has(e.key))
+      res.push({key: e.key, item: merge(e.item, inB.get(e.key).item)});
+  let pos = 0;
+  for (let e of b) {
+    const found = res.findIndex(r => r.key === e.key);
+    if (found !== -1) {
+      pos = found + 1;
+      continue;
+    }
+    res.splice(pos++, 0, e);
   }
+  return res.map(e => e.item);
+}
+
+function mergeKeys(a, b) {
+  if (!isMap(a) || !isMap(b))
+    return b;
+  const entries = obj => Object.keys(obj).map(k => ({key: k, item: k}));
+  const res = {};
+  for (let k of mergeOrder(entries(a), entries(b), (x, y) => y))
+    res[k] = mergeKeys(a[k], b[k]);
   return res;
 }
 
+function isMap(x) {
+  return x !== null && typeof x === "object" && !Array.isArray(x);
+}
+
+function mergeZones(a, b) {
+  return mergeOrder(merge3.zoneKeys(a), merge3.zoneKeys(b), mergeZone);
+}
+
 function mergeZone(a, b) {
   if (a.gens && b.gens) b.gens = mergeGens(a.gens, b.gens);
   if (a.mods && b.mods) b.mods = mergeMods(a.mods, b.mods);
-  return b;
+  return mergeKeys(a, b);
+}
+
+function isDefault(k, v) {
+  if (!defaults.gens.hasOwnProperty(k))
+    return false;
+  const gen = new SF2.Generator({sfGenOper: SF2.Generator.names.indexOf(k)});
+  if (gen.kind !== "value")
+    return String(v) === String(defaults.gens[k]);
+  return SF2.Generator.fromPhysical(k, v) === defaults.gens[k];
 }
 
 function mergeGens(a, b) {
@@ -84,7 +145,7 @@ function mergeGens(a, b) {
       // Property present in both, keep in old order
       res.push({[k]: d[k]});
       delete d[k];
-    } else if (v === defaults.gens[k]) {
+    } else if (isDefault(k, v)) {
       // Property in old is implicit default in new, keep explicit default
       res.push(kv);
     }
@@ -92,17 +153,27 @@ function mergeGens(a, b) {
   for (let kv of b) {
     const k = Object.keys(kv)[0];
     const v = kv[k];
-    if (d.hasOwnProperty(k) && v !== defaults.gens[k]) {
+    if (d.hasOwnProperty(k) && !isDefault(k, v)) {
       // Property present in new at non-default value; add it to the list
       res.push(kv);
     }
   }
-  return res;
+  // new generators must not end up after instrument or sampleID
+  return merge3.sortGens(res);
 }
 
 function mergeMods(a, b) {
-  return b;
+  return mergeOrder(merge3.modKeys(a), merge3.modKeys(b), mergeKeys);
 }
 
-mergeDirs(process.argv[2], process.argv[3], process.argv[4])
-  .then(() => process.exit(0), err => { console.error(err); process.exit(1); });
+module.exports.mergeDirs = mergeDirs;
+
+if (require.main === module) {
+  const [a, b, out] = process.argv.slice(2);
+  require("./index").mergeYaml(a, b, out).then(
+    () => process.exit(0),
+    err => {
+      console.error(err);
+      process.exit(1);
+    });
+}
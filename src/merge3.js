@@ -0,0 +1,360 @@
+"use strict";
+
+/*
+ * Three-way merge of soundfont YAML directories.
+ * Changes made on either side relative to a common base are combined,
+ * using knowledge about the structure of the individual files:
+ * zones are matched by key and velocity range plus their target,
+ * generators by name and modulators by their sources and destination.
+ * Where both sides changed the same value in different ways,
+ * a conflict is recorded and the value from our side is kept.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+
+const targets = ["instrument", "sampleID"];
+
+class Merge3 {
+
+  constructor(file) {
+    this.file = file;
+    this.conflicts = [];
+  }
+
+  conflict(where, base, ours, theirs) {
+    this.conflicts.push({file: this.file, path: where, base, ours, theirs});
+    return ours;
+  }
+
+  /**
+   * Merge the parsed content of a file, dispatching on its name.
+   */
+  content(base, ours, theirs) {
+    // the file may be given relative to some parent of the YAML directory
+    const name = path.basename(this.file);
+    const dir = path.basename(path.dirname(this.file));
+    if (dir === "presets" || dir === "instruments")
+      return this.map(base, ours, theirs, "", (b, o, t, p, k) => {
+        if (k === "zones")
+          return this.list(b, o, t, p, zoneKeys, this.zone);
+        if (k === "global")
+          return this.zone(b, o, t, p);
+        return this.value(b, o, t, p);
+      });
+    if (/^(phdr|inst|shdr)\.yml$/.test(name))
+      return this.list(base, ours, theirs, "", nameKeys, this.value);
+    if (name === "sdta.yml")
+      return this.list(base, ours, theirs, "", sdtaKeys, this.value);
+    return this.value(base, ours, theirs, "");
+  }
+
+  value(base, ours, theirs, where) {
+    if (equal(ours, theirs) || equal(base, theirs))
+      return ours;
+    if (equal(base, ours))
+      return theirs;
+    if (isMap(ours) && isMap(theirs) && (base === undefined || isMap(base)))
+      return this.map(base, ours, theirs, where, this.value);
+    return this.conflict(where, base, ours, theirs);
+  }
+
+  zone(base, ours, theirs, where) {
+    return this.map(base, ours, theirs, where, (b, o, t, p, k) => {
+      if (k === "gens")
+        return sortGens(this.list(b, o, t, p, genKeys, this.gen));
+      if (k === "mods")
+        return this.list(b, o, t, p, modKeys, this.value);
+      return this.value(b, o, t, p);
+    });
+  }
+
+  gen(base, ours, theirs, where) {
+    const name = genName(ours);
+    return {[name]: this.value(base && base[name], ours[name], theirs[name],
+                               where)};
+  }
+
+  map(base, ours, theirs, where, merge) {
+    const entries = obj => obj === undefined ? [] :
+          Object.keys(obj).map(k => ({key: k, label: k, item: obj[k]}));
+    const res = {};
+    for (let e of this.entries(entries(base), entries(ours), entries(theirs),
+                               where, merge))
+      res[e.key] = e.item;
+    return res;
+  }
+
+  list(base, ours, theirs, where, keys, merge) {
+    return this.entries(keys(base || []), keys(ours || []),
+                        keys(theirs || []), where, merge)
+      .map(e => e.item);
+  }
+
+  /**
+   * Merge sequences of keyed entries.
+   * The order of our side is retained,
+   * entries added by their side are inserted after their predecessor.
+   */
+  entries(base, ours, theirs, where, merge) {
+    const byKey = lst => new Map(lst.map(e => [e.key, e]));
+    const b = byKey(base), o = byKey(ours), t = byKey(theirs);
+    const res = [];
+    const result = (key, label, item) => {
+      if (item !== undefined)
+        res.push({key, label, item});
+    };
+    const item = e => e && e.item;
+    for (let e of ours) {
+      const sub = join(where, e.label);
+      const be = b.get(e.key), te = t.get(e.key);
+      if (te)
+        result(e.key, e.label,
+               merge.call(this, item(be), e.item, te.item, sub, e.key));
+      else if (!be)
+        result(e.key, e.label, e.item); // added by us
+      else if (!equal(be.item, e.item))
+        result(e.key, e.label,
+               this.conflict(sub, be.item, e.item, undefined));
+      // otherwise deleted by them
+    }
+    let pos = 0;
+    for (let e of theirs) {
+      const found = res.findIndex(r => r.key === e.key);
+      if (found !== -1) {
+        pos = found + 1;
+        continue;
+      }
+      if (o.has(e.key))
+        continue; // merged away
+      const be = b.get(e.key);
+      if (be) {
+        // deleted by us
+        if (!equal(be.item, e.item))
+          this.conflict(join(where, e.label), be.item, undefined, e.item);
+        continue;
+      }
+      res.splice(pos++, 0, {key: e.key, label: e.label, item: e.item});
+    }
+    return res;
+  }
+
+}
+
+function join(where, label) {
+  if (/^\[/.test(label))
+    return where + label;
+  return where ? where + "." + label : label;
+}
+
+// Turn a list into keyed entries, numbering duplicate keys.
+function keyed(lst, keyOf, labelOf) {
+  const seen = new Map();
+  return lst.map((item, i) => {
+    let key = keyOf(item, i, lst);
+    let label = labelOf(key, item);
+    const n = seen.get(key) || 0;
+    seen.set(key, n + 1);
+    if (n) {
+      key += "#" + n;
+      label = /\]$/.test(label) ?
+        label.replace(/\]$/, "#" + n + "]") : label + "#" + n;
+    }
+    return {key, label, item};
+  });
+}
+
+function genName(gen) {
+  return Object.keys(gen)[0];
+}
+
+function nameKeys(lst) {
+  return keyed(lst, String, k => `[${k}]`);
+}
+
+function genKeys(lst) {
+  return keyed(lst, genName, k => k);
+}
+
+function modKeys(lst) {
+  return keyed(lst, m => JSON.stringify([
+    m.sfModSrcOper, m.sfModDestOper, m.sfModAmtSrcOper,
+  ]), (k, m) => {
+    let label = sourceLabel(m.sfModSrcOper) + " -> " +
+        (isMap(m.sfModDestOper) ? "link " + m.sfModDestOper.link :
+         m.sfModDestOper);
+    if (sourceLabel(m.sfModAmtSrcOper) !== "none")
+      label += " * " + sourceLabel(m.sfModAmtSrcOper);
+    return `[${label}]`;
+  });
+}
+
+function sourceLabel(src) {
+  if (!isMap(src))
+    return String(src);
+  return ["controller", "direction", "polarity", "curve"]
+    .filter(k => src.hasOwnProperty(k)).map(k => src[k]).join(" ");
+}
+
+function zoneKeys(lst) {
+  return keyed(lst, z => {
+    const gens = {};
+    for (let g of z.gens || [])
+      gens[genName(g)] = g[genName(g)];
+    const parts = [];
+    for (let k of ["keyRange", "velRange"].concat(targets))
+      if (gens.hasOwnProperty(k))
+        parts.push(k + "=" + gens[k]);
+    return parts.join(",") || "global";
+  }, k => `[${k}]`);
+}
+
+function sdtaKeys(lst) {
+  return keyed(lst, (itm, i) => {
+    if (typeof itm === "string")
+      return itm;
+    for (let j = i - 1; j >= 0; --j)
+      if (typeof lst[j] === "string")
+        return "gap after " + lst[j];
+    return "gap";
+  }, k => `[${k}]`);
+}
+
+// Restore the generator order required by the specification.
+function sortGens(gens) {
+  const rank = g => {
+    const name = genName(g);
+    if (name === "keyRange") return 0;
+    if (name === "velRange") return 1;
+    if (targets.indexOf(name) !== -1) return 3;
+    return 2;
+  };
+  return gens
+    .map((g, i) => ({g, i}))
+    .sort((a, b) => rank(a.g) - rank(b.g) || a.i - b.i)
+    .map(x => x.g);
+}
+
+function isMap(x) {
+  return x !== null && typeof x === "object" && !Array.isArray(x);
+}
+
+function equal(a, b) {
+  if (a === b)
+    return true;
+  if (Buffer.isBuffer(a) && Buffer.isBuffer(b))
+    return a.equals(b);
+  if (Array.isArray(a) && Array.isArray(b))
+    return a.length === b.length && a.every((x, i) => equal(x, b[i]));
+  if (isMap(a) && isMap(b)) {
+    const ka = Object.keys(a), kb = Object.keys(b);
+    return ka.length === kb.length &&
+      ka.every(k => b.hasOwnProperty(k) && equal(a[k], b[k]));
+  }
+  return false;
+}
+
+function parse(buf) {
+  if (buf === undefined)
+    return undefined;
+  const res = yaml.safeLoad(buf.toString());
+  return res === null ? undefined : res;
+}
+
+/**
+ * Merge the content of a single file of a YAML directory.
+ * The contents are given as buffers, undefined for a missing file,
+ * and name is the path of the file relative to the directory.
+ * Returns the merged content, undefined if the file is to be deleted,
+ * together with a list of conflicts.
+ */
+function mergeFile(base, ours, theirs, name) {
+  const merge = new Merge3(name);
+  let content;
+  if (equal(ours, theirs) || equal(base, theirs)) {
+    content = ours;
+  } else if (equal(base, ours)) {
+    content = theirs;
+  } else if (/\.yml$/.test(name)) {
+    const res = merge.content(parse(base), parse(ours), parse(theirs));
+    content = res === undefined ? undefined : yaml.safeDump(res);
+  } else {
+    content = merge.conflict("", base, ours, theirs);
+  }
+  return {content, conflicts: merge.conflicts};
+}
+
+function readFile(name) {
+  return new Promise((resolve, reject) => fs.readFile(name, (err, buf) => {
+    if (err && err.code !== "ENOENT") return reject(err);
+    resolve(err ? undefined : buf);
+  }));
+}
+
+function listFiles(dir, prefix="") {
+  return new Promise((resolve, reject) => fs.readdir(
+    path.join(dir, prefix), {withFileTypes: true}, (err, entries) => {
+      if (err && err.code === "ENOENT") return resolve([]);
+      if (err) return reject(err);
+      resolve(entries);
+    })).then(entries => Promise.all(entries.map(e => {
+      const name = prefix ? prefix + "/" + e.name : e.name;
+      return e.isDirectory() ? listFiles(dir, name) : [name];
+    }))).then(lists => [].concat.apply([], lists));
+}
+
+function mkdir(dir) {
+  return new Promise((resolve, reject) => fs.mkdir(
+    dir, {recursive: true}, err => err ? reject(err) : resolve()));
+}
+
+function writeResult(file, content) {
+  if (content === undefined)
+    return new Promise((resolve, reject) => fs.unlink(file, err =>
+      err && err.code !== "ENOENT" ? reject(err) : resolve()));
+  return mkdir(path.dirname(file)).then(() => new Promise(
+    (resolve, reject) => fs.writeFile(file, content, err =>
+      err ? reject(err) : resolve())));
+}
+
+/**
+ * Merge the YAML directories ours and theirs, both derived from base,
+ * writing the result to directory out, which may be the same as ours.
+ * Resolves to the list of conflicts.
+ */
+function mergeDirs(base, ours, theirs, out) {
+  return Promise.all([base, ours, theirs].map(d => listFiles(d)))
+    .then(lists => {
+      const names = Array.from(new Set([].concat.apply([], lists))).sort();
+      const conflicts = [];
+      // one file at a time, to keep memory usage for sample data low
+      return names.reduce((prev, name) => prev.then(() => Promise.all(
+        [base, ours, theirs].map(d => readFile(path.join(d, name)))
+      )).then(([b, o, t]) => {
+        const res = mergeFile(b, o, t, name);
+        conflicts.push.apply(conflicts, res.conflicts);
+        return writeResult(path.join(out, name), res.content);
+      }), Promise.resolve()).then(() => conflicts);
+    });
+}
+
+/**
+ * Describe a conflict in a single line of text.
+ */
+function describe(conflict) {
+  const show = v => v === undefined ? "(absent)" :
+        Buffer.isBuffer(v) ? "(binary)" : JSON.stringify(v);
+  return conflict.file + (conflict.path ? ": " + conflict.path : "") +
+    ": base " + show(conflict.base) +
+    ", ours " + show(conflict.ours) +
+    ", theirs " + show(conflict.theirs);
+}
+
+module.exports.Merge3 = Merge3;
+module.exports.modKeys = modKeys;
+module.exports.sortGens = sortGens;
+module.exports.zoneKeys = zoneKeys;
+module.exports.describe = describe;
+module.exports.mergeDirs = mergeDirs;
+module.exports.mergeFile = mergeFile;
@@ -0,0 +1,199 @@
+"use strict";
+
+/*
+ * Standard MIDI Files, and rendering them with a soundfont.
+ * Formats 0 and 1 are supported, with tempo changes and both
+ * metrical and SMPTE timing. System exclusive messages and meta events
+ * other than tempo changes are ignored.
+ */
+
+const synth = require("./synth");
+
+/**
+ * Parse a Standard MIDI File given as a buffer.
+ * Returns the format, the division, which is the number of ticks
+ * per quarter note or an object with fps and ticks per frame,
+ * and the tracks as lists of events. Each event has its tick time,
+ * its type, one of noteOn, noteOff, keyPressure, controller,
+ * programChange, channelPressure, pitchBend or tempo,
+ * and for channel messages the channel number from 0 to 15.
+ */
+function parse(buf) {
+  if (buf.length < 14 || buf.toString("latin1", 0, 4) !== "MThd")
+    throw Error("Not a Standard MIDI File");
+  const format = buf.readUInt16BE(8);
+  const ntracks = buf.readUInt16BE(10);
+  let division = buf.readUInt16BE(12);
+  if (format > 1)
+    throw Error("Unsupported MIDI file format " + format);
+  if (division & 0x8000)
+    division = {fps: 256 - (division >> 8), ticks: division & 0xff};
+  if (!division || division.ticks === 0)
+    throw Error("Invalid MIDI time division");
+  const tracks = [];
+  let pos = 8 + buf.readUInt32BE(4);
+  while (tracks.length < ntracks && pos + 8 <= buf.length) {
+    const id = buf.toString("latin1", pos, pos + 4);
+    const end = pos + 8 + buf.readUInt32BE(pos + 4);
+    if (end > buf.length)
+      throw Error("Truncated MIDI file");
+    if (id === "MTrk")
+      tracks.push(parseTrack(buf.slice(pos + 8, end)));
+    pos = end;
+  }
+  if (tracks.length < ntracks)
+    throw Error(`Expected ${ntracks} MIDI tracks, found ${tracks.length}`);
+  return {format, division, tracks};
+}
+
+function parseTrack(data) {
+  const events = [];
+  let pos = 0, tick = 0, status = 0;
+  const byte = () => {
+    if (pos >= data.length)
+      throw Error("Truncated MIDI track");
+    return data[pos++];
+  };
+  const vlq = () => {
+    let res = 0, b;
+    do {
+      b = byte();
+      res = res * 128 + (b & 0x7f);
+    } while (b & 0x80);
+    return res;
+  };
+  while (pos < data.length) {
+    tick += vlq();
+    let b = byte();
+    if (b === 0xff) {
+      const type = byte(), len = vlq();
+      if (pos + len > data.length)
+        throw Error("Truncated MIDI track");
+      if (type === 0x51 && len === 3)
+        events.push({tick, type: "tempo", tempo: data.readUIntBE(pos, 3)});
+      if (type === 0x2f) // end of track
+        break;
+      pos += len;
+      continue;
+    }
+    if (b === 0xf0 || b === 0xf7) { // system exclusive
+      const len = vlq();
+      pos += len;
+      continue;
+    }
+    if (b < 0x80) { // running status
+      if (!status)
+        throw Error("MIDI data byte without status");
+      --pos;
+      b = status;
+    } else if (b < 0xf0) {
+      status = b;
+    } else {
+      throw Error("Unexpected MIDI status byte 0x" + b.toString(16));
+    }
+    const channel = b & 0x0f, d1 = byte() & 0x7f;
+    switch (b >> 4) {
+      case 0x8:
+        byte();
+        events.push({tick, type: "noteOff", channel, key: d1});
+        break;
+      case 0x9: {
+        const velocity = byte() & 0x7f;
+        events.push(velocity ?
+                    {tick, type: "noteOn", channel, key: d1, velocity} :
+                    {tick, type: "noteOff", channel, key: d1});
+        break;
+      }
+      case 0xa:
+        events.push({tick, type: "keyPressure", channel, key: d1,
+                     value: byte() & 0x7f});
+        break;
+      case 0xb:
+        events.push({tick, type: "controller", channel, controller: d1,
+                     value: byte() & 0x7f});
+        break;
+      case 0xc:
+        events.push({tick, type: "programChange", channel, program: d1});
+        break;
+      case 0xd:
+        events.push({tick, type: "channelPressure", channel, value: d1});
+        break;
+      case 0xe:
+        events.push({tick, type: "pitchBend", channel,
+                     value: d1 | (byte() & 0x7f) << 7});
+        break;
+    }
+  }
+  return events;
+}
+
+/**
+ * Merge the tracks of a parsed MIDI file into a single list of events,
+ * adding the time in seconds according to the tempo map.
+ */
+function schedule(smf) {
+  const events = [].concat.apply([], smf.tracks)
+        .sort((a, b) => a.tick - b.tick);
+  const div = smf.division;
+  let tempo = 500000, tick = 0, time = 0;
+  return events.map(e => {
+    const perTick = typeof div === "number" ? tempo / 1e6 / div :
+          1 / ((div.fps === 29 ? 29.97 : div.fps) * div.ticks);
+    time += (e.tick - tick) * perTick;
+    tick = e.tick;
+    if (e.type === "tempo")
+      tempo = e.tempo;
+    return Object.assign({time}, e);
+  });
+}
+
+/**
+ * Render a Standard MIDI File, given as a buffer,
+ * with the presets of the parsed SF2 file sf2.
+ * After the last event, all notes are released and rendering
+ * continues until they have faded, for at most tail seconds
+ * (default 10). Further options are those of the Synth class.
+ * Returns the sampleRate and the left and right channels
+ * as Float32Arrays, with full scale at 1.
+ */
+function render(sf2, buf, options={}) {
+  const tail = options.tail === undefined ? 10 : +options.tail;
+  if (!(tail >= 0))
+    throw Error("Invalid tail: " + options.tail);
+  const events = schedule(parse(buf));
+  const s = new synth.Synth(sf2, options);
+  const rec = new synth.Recorder(s);
+  for (let e of events) {
+    rec.render(Math.round(e.time * s.sampleRate) - rec.frames);
+    switch (e.type) {
+      case "noteOn":
+        s.noteOn(e.channel, e.key, e.velocity);
+        break;
+      case "noteOff":
+        s.noteOff(e.channel, e.key);
+        break;
+      case "keyPressure":
+        s.keyPressure(e.channel, e.key, e.value);
+        break;
+      case "controller":
+        s.controller(e.channel, e.controller, e.value);
+        break;
+      case "programChange":
+        s.programChange(e.channel, e.program);
+        break;
+      case "channelPressure":
+        s.channelPressure(e.channel, e.value);
+        break;
+      case "pitchBend":
+        s.pitchBend(e.channel, e.value);
+        break;
+    }
+  }
+  s.releaseAll();
+  rec.finish(tail);
+  return rec.audio;
+}
+
+module.exports.parse = parse;
+module.exports.render = render;
+module.exports.schedule = schedule;
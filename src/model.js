@@ -0,0 +1,596 @@
+"use strict";
+
+/*
+ * Mutable object model for building and editing soundfonts in code.
+ * Presets refer to instruments and instruments to samples directly,
+ * index fields are only computed when the soundfont is serialized.
+ */
+
+const SF2 = require("./SF2");
+const YamlGen = require("./sf2toyaml").YamlGen;
+const encoding = require("./encoding");
+
+const sampleTypes = {
+  mono: 1,
+  right: 2,
+  left: 4,
+  linked: 8,
+};
+
+const sampleTypeNames = {
+  1: "mono",
+  2: "right",
+  4: "left",
+  8: "linked",
+};
+
+// INFO sub-chunks holding zero terminated strings
+const infoStrings = [
+  "isng", "INAM", "irom", "ICRD", "IENG", "IPRD", "ICOP", "ICMT", "ISFT",
+];
+
+function range(val) {
+  if (val === undefined || val === null)
+    return null;
+  if (typeof val === "number")
+    return new SF2.Range(val, val);
+  if (Array.isArray(val))
+    return new SF2.Range(val[0], val[1]);
+  if (typeof val === "string") {
+    const match = /^(\d+)-(\d+)$/.exec(val);
+    if (!match)
+      throw Error("Invalid range: " + val);
+    return new SF2.Range(+match[1], +match[2]);
+  }
+  return new SF2.Range(val.byLo, val.byHi);
+}
+
+function source(src) {
+  return typeof src === "string" ? {controller: src} : src;
+}
+
+class Modulator {
+
+  /**
+   * Sources are given as in the YAML representation,
+   * e.g. {controller: "noteOnVelocity", direction: "maxToMin"},
+   * or just as the name of the controller.
+   * The destination is a generator name or another modulator
+   * of the same zone.
+   */
+  constructor(props={}) {
+    this.src = source(props.src || "none");
+    this.dest = props.dest;
+    this.amount = props.amount || 0;
+    this.amtSrc = source(props.amtSrc || "none");
+    this.transform = props.transform || "linear";
+  }
+
+}
+
+class Zone {
+
+  /**
+   * Generators are given as an object mapping generator names to values,
+   * which may use physical units as in the YAML representation
+   * for instrument zones.
+   */
+  constructor(props={}) {
+    const gens = Object.assign({}, props.gens);
+    this.keyRange = range(props.keyRange || gens.keyRange);
+    this.velRange = range(props.velRange || gens.velRange);
+    delete gens.keyRange;
+    delete gens.velRange;
+    this.gens = gens;
+    this.mods = [];
+    this.instrument = props.instrument || null;
+    this.sample = props.sample || null;
+    for (let m of props.mods || [])
+      this.addModulator(m);
+  }
+
+  set(name, value) {
+    if (value === undefined)
+      delete this.gens[name];
+    else
+      this.gens[name] = value;
+    return this;
+  }
+
+  addModulator(props) {
+    const mod = props instanceof Modulator ? props : new Modulator(props);
+    this.mods.push(mod);
+    return mod;
+  }
+
+}
+
+class Zoned {
+
+  constructor(name) {
+    this.name = name || "";
+    this.global = null;
+    this.zones = [];
+  }
+
+  setGlobal(props={}) {
+    return this.global = props instanceof Zone ? props : new Zone(props);
+  }
+
+  addZone(props) {
+    const zone = props instanceof Zone ? props : new Zone(props);
+    if (!zone[this.target])
+      throw Error(`Zone of ${this.name} has no ${this.target}`);
+    this.zones.push(zone);
+    return zone;
+  }
+
+}
+
+class Preset extends Zoned {
+
+  constructor(props={}) {
+    super(props.name);
+    this.preset = props.preset || 0;
+    this.bank = props.bank || 0;
+    this.library = props.library || 0;
+    this.genre = props.genre || 0;
+    this.morphology = props.morphology || 0;
+  }
+
+  get target() {
+    return "instrument";
+  }
+
+}
+
+class Instrument extends Zoned {
+
+  constructor(props={}) {
+    super(props.name);
+  }
+
+  get target() {
+    return "sample";
+  }
+
+}
+
+class Sample {
+
+  /**
+   * The data is an Int16Array or array of 16 bit sample points,
+   * data24 optionally provides the additional low bytes of 24 bit samples.
+   * Loop points are relative to the start of the sample.
+   * For samples from ROM, rom gives the start and end within the ROM
+   * instead of any data.
+   */
+  constructor(props={}) {
+    const data = props.data || [];
+    this.name = props.name || "";
+    this.data = data instanceof Int16Array ? data : Int16Array.from(data);
+    this.data24 = !props.data24 ? null : props.data24 instanceof Uint8Array ?
+      props.data24 : Uint8Array.from(props.data24);
+    this.sampleRate = props.sampleRate || 44100;
+    this.originalPitch = props.hasOwnProperty("originalPitch") ?
+      props.originalPitch : 60;
+    this.pitchCorrection = props.pitchCorrection || 0;
+    this.loopStart = props.loopStart || 0;
+    this.loopEnd = props.loopEnd || 0;
+    this.type = props.type || "mono";
+    this.link = props.link || null;
+    this.rom = props.rom || null;
+  }
+
+}
+
+class SoundFont {
+
+  constructor(info={}) {
+    this.info = Object.assign({
+      ifil: {wMajor: 2, wMinor: 1},
+      isng: "EMU8000",
+      INAM: "Untitled",
+    }, info);
+    this.presets = [];
+    this.instruments = [];
+    this.samples = [];
+  }
+
+  addPreset(props) {
+    const preset = props instanceof Preset ? props : new Preset(props);
+    this.presets.push(preset);
+    return preset;
+  }
+
+  addInstrument(props) {
+    const inst = props instanceof Instrument ? props : new Instrument(props);
+    this.instruments.push(inst);
+    return inst;
+  }
+
+  addSample(props) {
+    const sample = props instanceof Sample ? props : new Sample(props);
+    this.samples.push(sample);
+    return sample;
+  }
+
+  /**
+   * All objects to be written, including those only referenced.
+   */
+  collect() {
+    const presets = this.presets.slice();
+    const instruments = new Set(this.instruments);
+    const samples = new Set(this.samples);
+    for (let p of presets)
+      for (let z of p.zones)
+        instruments.add(z.instrument);
+    for (let i of instruments)
+      for (let z of i.zones)
+        samples.add(z.sample);
+    for (let s of samples)
+      if (s.link)
+        samples.add(s.link);
+    return {
+      presets,
+      instruments: Array.from(instruments),
+      samples: Array.from(samples),
+    };
+  }
+
+  /**
+   * Serialize into an SF2 file.
+   * Names are encoded using the encoding option, latin1 by default.
+   */
+  toBuffer(options={}) {
+    const enc = options.encoding || "latin1";
+    const warn = options.warn || (msg => console.warn("Warning: " + msg));
+    const name = str => encoding.encodeFixed(str, enc, 20, warn);
+    const {presets, instruments, samples} = this.collect();
+
+    // sample data, each sample followed by 46 zero sample points
+    const offsets = new Map();
+    let total = 0;
+    for (let s of samples) {
+      if (s.rom)
+        continue;
+      offsets.set(s, total);
+      total += s.data.length + 46;
+    }
+    const smpl = Buffer.alloc(2 * total);
+    const sm24 = samples.some(s => !s.rom && s.data24) ?
+          Buffer.alloc(total) : null;
+    for (let [s, pos] of offsets) {
+      s.data.forEach((v, i) => smpl.writeInt16LE(v, 2 * (pos + i)));
+      if (sm24 && s.data24)
+        sm24.set(s.data24.subarray(0, s.data.length), pos);
+    }
+
+    const sampleIds = new Map(samples.map((s, i) => [s, i]));
+    const shdr = samples.map(s => {
+      const start = s.rom ? s.rom.start : offsets.get(s);
+      const type = typeof s.type === "number" ? s.type : sampleTypes[s.type];
+      if (!type)
+        throw Error("Unknown sample type: " + s.type);
+      return {
+        achSampleName: name(s.name),
+        dwStart: start,
+        dwEnd: s.rom ? s.rom.end : start + s.data.length,
+        dwStartloop: start + s.loopStart,
+        dwEndloop: start + s.loopEnd,
+        dwSamplerRate: s.sampleRate,
+        byOriginalPitch: s.originalPitch,
+        chPitchCorrection: s.pitchCorrection,
+        wSampleLink: s.link ? sampleIds.get(s.link) : 0,
+        sfSampleType: type | (s.rom ? 0x8000 : 0),
+      };
+    });
+    shdr.push(terminal("shdr", "EOS"));
+
+    const records = Object.assign(
+      {shdr},
+      flatten(presets, SF2.SF2.hierarchy.preset, "instrument",
+              new Map(instruments.map((inst, i) => [inst, i])),
+              p => ({
+                achPresetName: name(p.name),
+                wPreset: p.preset,
+                wBank: p.bank,
+                dwLibrary: p.library,
+                dwGenre: p.genre,
+                dwMorphology: p.morphology,
+              }), terminal("phdr", "EOP")),
+      flatten(instruments, SF2.SF2.hierarchy.instrument, "sample", sampleIds,
+              i => ({achInstName: name(i.name)}), terminal("inst", "EOI")));
+
+    const info = Object.assign({}, this.info);
+    // 24 bit samples require version 2.04
+    if (sm24 && info.ifil &&
+        info.ifil.wMajor * 100 + info.ifil.wMinor < 204)
+      info.ifil = {wMajor: 2, wMinor: 4};
+    const infoChunks = Object.keys(info).map(k => {
+      let buf;
+      if (k === "ifil" || k === "iver") {
+        buf = Buffer.alloc(4);
+        buf.writeUInt16LE(info[k].wMajor, 0);
+        buf.writeUInt16LE(info[k].wMinor, 2);
+      } else if (Buffer.isBuffer(info[k])) {
+        buf = info[k];
+      } else {
+        let v = encoding.encode(info[k], enc);
+        v += "\0".repeat(2 - (v.length & 1));
+        buf = Buffer.from(v, "binary");
+      }
+      return new SF2.Chunk(k, buf);
+    });
+
+    const sdtaChunks = [new SF2.Chunk("smpl", smpl)];
+    if (sm24)
+      sdtaChunks.push(new SF2.Chunk("sm24", sm24));
+    const pdtaChunks = [
+      "phdr", "pbag", "pmod", "pgen", "inst", "ibag", "imod", "igen", "shdr",
+    ].map(id => new SF2.Chunk(
+      id, SF2.RecordLayout[id].write(id, records[id]).slice(8)));
+    return list("", [
+      list("sfbk", [
+        list("INFO", infoChunks),
+        list("sdta", sdtaChunks),
+        list("pdta", pdtaChunks),
+      ], false),
+    ], false).toBuffer();
+  }
+
+  toSF2(options) {
+    return new SF2.SF2(this.toBuffer(options));
+  }
+
+  /**
+   * Write the YAML representation to a directory,
+   * with the same options as the sf2ToYaml function.
+   */
+  toYaml(dir, options={}) {
+    return new YamlGen(this.toSF2(options), dir, options).generate();
+  }
+
+  /**
+   * Build the object model for a parsed SF2 file.
+   * Names are decoded using the encoding option, latin1 by default.
+   * INFO sub-chunks other than strings and versions are kept as buffers,
+   * which toBuffer writes back unchanged.
+   * The presets option can select presets by a function of their
+   * properties, as passed to the Preset constructor. Only the instruments
+   * and samples used by these presets are then created, so that
+   * no other sample data is read from files opened by SF2.open.
+   */
+  static fromSF2(sf2, options={}) {
+    const enc = options.encoding || "latin1";
+    const text = str => {
+      const res = encoding.decode(str, enc);
+      return typeof res === "string" ? res : res.text;
+    };
+    const res = new SoundFont();
+    res.info = {};
+    const info = sf2.chunks[0].firstForName("INFO");
+    for (let c of info ? info.chunks : []) {
+      if (c.id === "ifil" || c.id === "iver")
+        res.info[c.id] = {
+          wMajor: c.data.readUInt16LE(0),
+          wMinor: c.data.readUInt16LE(2),
+        };
+      else if (infoStrings.indexOf(c.id) >= 0)
+        res.info[c.id] = text(c.zstr("binary"));
+      else
+        res.info[c.id] = Buffer.from(c.data);
+    }
+
+    const presetProps = p => ({
+      name: text(p.achPresetName),
+      preset: p.wPreset,
+      bank: p.wBank,
+      library: p.dwLibrary,
+      genre: p.dwGenre,
+      morphology: p.dwMorphology,
+    });
+    let phdr = sf2.phdr;
+    let keepInst = () => true, keepSample = () => true;
+    if (options.presets) {
+      phdr = phdr.filter(p => options.presets(presetProps(p)));
+      const insts = targetsOf(phdr, "instrument");
+      const samples = targetsOf(sf2.inst.filter((_, i) => insts.has(i)),
+                                "sampleID");
+      for (let i of Array.from(samples)) {
+        const s = sf2.shdr[i];
+        if (s && (s.sfSampleType & 0x7fff) !== 1)
+          samples.add(s.wSampleLink);
+      }
+      keepInst = i => insts.has(i);
+      keepSample = i => samples.has(i);
+    }
+
+    const sdta = sf2.chunks[0].firstForName("sdta");
+    const smpl = sdta && sdta.firstForName("smpl");
+    const sm24 = sdta && sdta.firstForName("sm24");
+    // indexed like the records, with null for samples left out
+    const samples = sf2.shdr.map((s, i) => {
+      if (!keepSample(i))
+        return null;
+      const type = s.sfSampleType & 0x7fff;
+      const props = {
+        name: text(s.achSampleName),
+        sampleRate: s.dwSamplerRate,
+        originalPitch: s.byOriginalPitch,
+        pitchCorrection: s.chPitchCorrection,
+        loopStart: s.dwStartloop - s.dwStart,
+        loopEnd: s.dwEndloop - s.dwStart,
+        type: sampleTypeNames[type] || type,
+      };
+      if (s.sfSampleType & 0x8000) {
+        props.rom = {start: s.dwStart, end: s.dwEnd};
+      } else if (smpl) {
+        const data = smpl.readSync(2 * s.dwStart, 2 * s.dwEnd);
+        props.data = new Int16Array(data.length >> 1);
+        for (let i = 0; i < props.data.length; ++i)
+          props.data[i] = data.readInt16LE(2 * i);
+        if (sm24)
+          props.data24 = Uint8Array.from(sm24.readSync(s.dwStart, s.dwEnd));
+      }
+      return new Sample(props);
+    });
+    sf2.shdr.forEach((s, i) => {
+      if (samples[i] && (s.sfSampleType & 0x7fff) !== 1 &&
+          samples[s.wSampleLink])
+        samples[i].link = samples[s.wSampleLink];
+    });
+
+    const instruments = sf2.inst.map((i, j) => !keepInst(j) ? null : zones(
+      new Instrument({name: text(i.achInstName)}),
+      i.zones, "sampleID", samples));
+    res.samples = samples.filter(s => s);
+    res.instruments = instruments.filter(i => i);
+    res.presets = phdr.map(p => zones(new Preset(presetProps(p)),
+                                      p.zones, "instrument", instruments));
+    return res;
+  }
+
+}
+
+// The indices referenced by the target generator in zones of headers.
+function targetsOf(headers, target) {
+  const res = new Set();
+  for (let h of headers)
+    for (let z of h.zones)
+      for (let g of z.gens)
+        if (g.name === target)
+          res.add(g.value);
+  return res;
+}
+
+// Add the zones of a parsed header record to a preset or instrument.
+function zones(res, bags, target, targets) {
+  bags.forEach((bag, j) => {
+    const props = {gens: {}};
+    for (let g of bag.gens) {
+      if (g.kind === "range") {
+        props[g.name] = g.value;
+      } else if (g.name === target) {
+        props[res.target] = targets[g.value];
+        if (!props[res.target])
+          throw Error(`${target} ${g.value} does not exist`);
+      } else {
+        props.gens[g.name] = g.value;
+      }
+    }
+    props.mods = bag.mods.map(rec => {
+      const m = SF2.Modulator.symbolic(rec);
+      return new Modulator({
+        src: m.sfModSrcOper,
+        dest: m.sfModDestOper,
+        amount: m.modAmount,
+        amtSrc: m.sfModAmtSrcOper,
+        transform: m.sfModTransOper,
+      });
+    });
+    for (let m of props.mods)
+      if (m.dest !== null && typeof m.dest === "object" &&
+          props.mods[m.dest.link])
+        m.dest = props.mods[m.dest.link];
+    if (props[res.target])
+      res.addZone(props);
+    else if (j === 0)
+      res.setGlobal(props);
+    // other zones without target are to be ignored according to the spec
+  });
+  return res;
+}
+
+function terminal(id, name) {
+  const res = {};
+  for (let part of SF2.RecordLayout[id].parts)
+    res[part.name] = 0;
+  res[SF2.RecordLayout[id].names[0]] = name;
+  return res;
+}
+
+// Records of the given hierarchy, with index fields set.
+function flatten(items, h, target, ids, header, term) {
+  const hdr = [], bag = [], gen = [], mod = [];
+  const genName = target === "sample" ? "sampleID" : target;
+  const zone = (z, ref) => {
+    bag.push({[h.genNdx]: gen.length, [h.modNdx]: mod.length});
+    gen.push.apply(gen, genRecords(z, genName, ref));
+    mod.push.apply(mod, modRecords(z));
+  };
+  for (let item of items) {
+    hdr.push(Object.assign(header(item), {[h.bagNdx]: bag.length}));
+    if (item.global)
+      zone(item.global);
+    for (let z of item.zones)
+      zone(z, ids.get(z[target]));
+  }
+  hdr.push(Object.assign(term, {[h.bagNdx]: bag.length}));
+  bag.push({[h.genNdx]: gen.length, [h.modNdx]: mod.length});
+  gen.push(terminal(h.gen));
+  mod.push(terminal(h.mod));
+  return {[h.hdr]: hdr, [h.bag]: bag, [h.gen]: gen, [h.mod]: mod};
+}
+
+function genOper(name) {
+  const res = SF2.Generator.names.indexOf(name);
+  if (res >= 0)
+    return res;
+  if (/^\d+$/.test(name))
+    return +name;
+  throw Error("Invalid generator: " + name);
+}
+
+// Generators in the order required by the specification.
+function genRecords(zone, target, ref) {
+  const res = [];
+  const add = (name, amount) =>
+        res.push({sfGenOper: genOper(name), genAmount: amount});
+  if (zone.keyRange)
+    add("keyRange", {ranges: zone.keyRange});
+  if (zone.velRange)
+    add("velRange", {ranges: zone.velRange});
+  for (let name of Object.keys(zone.gens)) {
+    if (name === "instrument" || name === "sampleID")
+      throw Error(`Generator ${name} must be given as a reference`);
+    if (target === "instrument" && typeof zone.gens[name] === "string" &&
+        SF2.Generator.units[name])
+      throw Error(`Preset generator ${name} must be given as an ` +
+                  `integer offset, not ${zone.gens[name]}`);
+    add(name, SF2.Generator.fromPhysical(name, zone.gens[name]));
+  }
+  if (ref !== undefined)
+    add(target, {wAmount: ref});
+  return res;
+}
+
+function modRecords(zone) {
+  return zone.mods.map(m => {
+    let dest = m.dest;
+    if (dest instanceof Modulator) {
+      const link = zone.mods.indexOf(dest);
+      if (link === -1)
+        throw Error("Modulator linked to a modulator of another zone");
+      dest = {link};
+    }
+    return SF2.Modulator.numeric({
+      sfModSrcOper: m.src,
+      sfModDestOper: dest,
+      modAmount: m.amount,
+      sfModAmtSrcOper: m.amtSrc,
+      sfModTransOper: m.transform,
+    });
+  });
+}
+
+function list(id, chunks, isList=true) {
+  return SF2.RIFF.fromChunks(id, chunks, isList);
+}
+
+module.exports.Instrument = Instrument;
+module.exports.Modulator = Modulator;
+module.exports.Preset = Preset;
+module.exports.Sample = Sample;
+module.exports.SoundFont = SoundFont;
+module.exports.Zone = Zone;
@@ -6,19 +6,28 @@ const path = require("path");
 const yaml = require("js-yaml");
 
 const SF2 = require("./SF2");
+const encoding = require("./encoding");
+const flac = require("./flac");
+
+const modKeys = SF2.RecordLayout.pmod.names.concat(
+  "controller", "direction", "polarity", "curve", "link"
+);
 
 const presetKeys = SF2.RecordLayout.phdr.names.concat(
-  "global", "zones", "gens", "mods"
+  "global", "zones", "gens", "mods", modKeys
 );
 
 const instrumentKeys = SF2.RecordLayout.inst.names.concat(
-  "global", "zones", "gens", "mods"
+  "global", "zones", "gens", "mods", modKeys
 );
 
 const sampleKeys = SF2.RecordLayout.shdr.names.concat(
   "sdta", "length", "smpl", "sm24"
 );
 
+// number of sample points read at a time
+const blockSize = 0x10000;
+
 const termKeys = [
   "phdr", "pmod", "pgen", "inst", "imod", "igen", "shdr"
 ].concat(
@@ -33,35 +42,48 @@ const termKeys = [
 
 class YamlGen {
 
-  constructor(sf2, dir="out/", verify=false) {
+  constructor(sf2, dir="out/", options={}) {
     this.sf2 = sf2;
     this.dir = dir;
-    this.verify = verify ? {} : null;
+    this.verify = options.verify ? {} : null;
+    this.format = options.format || "wav";
+    this.stereo = !!options.stereo;
+    this.units = !!options.units;
+    this.encoding = options.encoding || "latin1";
+    this.options = options;
+    if (this.format !== "wav" && this.format !== "flac")
+      throw Error("Unsupported sample format: " + this.format);
     this.writing = 0;
     this.writeQueue = [];
+    this.writes = [];
+    this.presets = this.safeNames(this.sf2.phdr.map(i => i.achPresetName));
+    this.instruments = this.safeNames(this.sf2.inst.map(i => i.achInstName));
+    this.samples = this.safeNames(this.sf2.shdr.map(i => i.achSampleName));
+  }
 
+  generate() {
     const dirs = [
-      dir,
-      dir + "presets",
-      dir + "instruments",
-      dir + "samples",
-      dir + "wav",
+      "presets",
+      "instruments",
+      "samples",
+      this.format,
     ];
-    for (let dir of dirs) {
-      try {
-        fs.mkdirSync(dir);
-      } catch (e) {
-        if (e.code !== "EEXIST")
-          throw e;
-      }
-    }
+    let ready = Promise.resolve();
+    if (this.dir !== null) // otherwise only collect files in memory
+      ready = mkdir(this.dir).then(() =>
+        Promise.all(dirs.map(d => mkdir(path.join(this.dir, d)))));
+    return ready
+      .then(() => this.writeAll())
+      .then(() => Promise.all(this.writes))
+      .then(() => this);
+  }
 
-    this.presets = this.safeNames(this.sf2.phdr.map(i => i.achPresetName));
-    this.instruments = this.safeNames(this.sf2.inst.map(i => i.achInstName));
-    this.samples = this.safeNames(this.sf2.shdr.map(i => i.achSampleName));
+  writeAll() {
     this.writeYaml("RIFF", this.riff(this.sf2)[""][0]);
+    if (this.options.encoding)
+      this.writeYaml("encoding", this.encoding);
     this.writeYaml("INFO", this.info());
-    this.writeYaml("sdta", this.sdta());
+    const sdta = this.sdta().then(lst => this.writeYaml("sdta", lst));
     this.writeYaml("phdr", this.presets);
     this.writeYaml("inst", this.instruments);
     this.writeYaml("shdr", this.samples);
@@ -76,6 +98,7 @@ class YamlGen {
         "instruments/" + this.instruments[i.id],
         this.instrument(i),
         instrumentKeys);
+    return sdta;
   }
 
   safeName(str) {
@@ -111,52 +134,93 @@ class YamlGen {
   writeFile(file, buf) {
     if (this.verify)
       this.verify[file] = buf;
-    if (this.writing >= 12) {
-      this.writeQueue.push({file, buf});
+    if (this.dir === null)
       return;
-    }
-    this.writing++;
-    fs.writeFile(this.dir + file, buf, err => {
-      if (err) throw err;
-      this.writing--;
-      if (this.writing < 12 && this.writeQueue.length) {
-        const q = this.writeQueue.shift();
-        this.writeFile(q.file, q.buf);
-      }
+    const write = new Promise((resolve, reject) => {
+      this.writeQueue.push({file, buf, resolve, reject});
+    });
+    write.catch(() => {}); // reported by generate()
+    this.writes.push(write);
+    this.flushQueue();
+  }
+
+  /**
+   * Open a file for writing in parts.
+   * Both write(buf) and end() return promises,
+   * so that the data need not be kept in memory.
+   */
+  openFile(file) {
+    const parts = this.verify ? [] : null;
+    const stream = this.dir === null ? null :
+          fs.createWriteStream(path.join(this.dir, file));
+    const done = stream && new Promise((resolve, reject) => {
+      stream.on("finish", resolve);
+      stream.on("error", reject);
     });
+    if (done)
+      done.catch(() => {}); // reported by end() or write()
+    return {
+      write: buf => {
+        if (parts)
+          parts.push(buf);
+        if (!stream || stream.write(buf))
+          return Promise.resolve();
+        return new Promise((resolve, reject) => {
+          stream.once("drain", resolve);
+          done.catch(reject);
+        });
+      },
+      end: () => {
+        if (parts)
+          this.verify[file] = Buffer.concat(parts);
+        if (!stream)
+          return Promise.resolve();
+        stream.end();
+        return done;
+      },
+    };
+  }
+
+  flushQueue() {
+    while (this.writing < 12 && this.writeQueue.length) {
+      const q = this.writeQueue.shift();
+      this.writing++;
+      fs.writeFile(path.join(this.dir, q.file), q.buf, err => {
+        this.writing--;
+        this.flushQueue();
+        if (err) q.reject(err);
+        else q.resolve();
+      });
+    }
   }
-    
+
   writeYaml(name, content, names) {
     let sortKeys = true;
     if (names)
       sortKeys = ((a, b) => names.indexOf(a) - names.indexOf(b));
-    const yml = yaml.safeDump(content, { sortKeys: sortKeys })
-          .replace(/[^\n\x20-\x7e]/g, c => {
-            c = c.charCodeAt(0).toString(16);
-            if (c.length <= 2)
-              c = "\\x" + "0".repeat(2 - c.length) + c;
-            else
-              c = "\\u" + "0".repeat(4 - c.length) + c;
-            return c;
-          });
+    const yml = yaml.safeDump(content, { sortKeys: sortKeys });
     this.writeFile(name + ".yml", yml);
   }
 
+  text(str) {
+    return encoding.decode(str, this.encoding);
+  }
+
   info() {
     const info = this.sf2.chunks[0].firstForName("INFO");
     const res = {};
     for (let c of info.chunks) {
-      if (c.id === "ifil" && c.data.length === 4) {
-        res.ifil = {
+      if ((c.id === "ifil" || c.id === "iver") && c.data.length === 4) {
+        res[c.id] = {
           wMajor: c.data.readUInt16LE(0),
           wMinor: c.data.readUInt16LE(2),
         }
         continue;
       }
       if ((c.data.length & 1) === 0) {
-        let str = c.data.toString("ascii");
-        if (Buffer.from(str, "ascii").equals(c.data) && /\0$/.test(str)) {
-          res[c.id] = str.replace(/\0?\0$/, "");
+        let str = c.data.toString("binary");
+        if (/\0$/.test(str)) {
+          res[c.id] = this.text(str.replace(/\0?\0$/, ""));
           continue;
         }
       }
@@ -172,14 +236,16 @@ class YamlGen {
     term = Object.assign({}, this.sf2.phdr.sf2Terminator);
     delete term.id;
     delete term.wPresetBagNdx;
+    term.achPresetName = this.text(term.achPresetName);
     res.phdr = term;
 
     res.inst = {
-      achInstName: this.sf2.inst.sf2Terminator.achInstName
+      achInstName: this.text(this.sf2.inst.sf2Terminator.achInstName)
     };
 
     term = Object.assign({}, this.sf2.shdr.sf2Terminator);
     delete term.id;
+    term.achSampleName = this.text(term.achSampleName);
     res.shdr = term;
 
     term = Object.assign({}, this.sf2.pmod[this.sf2.pmod.length - 1]);
@@ -201,11 +267,17 @@ class YamlGen {
 
   sdta() {
     const sdta = this.sf2.chunks[0].firstForName("sdta");
-    const smpl = sdta.firstForName("smpl");
-    const sm24 = sdta.firstForName("sm24");
+    const smpl = this.smpl = sdta.firstForName("smpl");
+    const sm24 = this.sm24 = sdta.firstForName("sm24");
     this.sdtaMap = new Map();
     let seq = [];
     for (let s of this.sf2.shdr) {
+      if (s.sfSampleType & 0x8000) {
+        // ROM sample, not contained in the sdta chunk
+        this.writeYaml("samples/" + this.samples[s.id], this.sample(s),
+                       sampleKeys);
+        continue;
+      }
       if (this.sdtaMap.has(s.dwStart)) continue;
       let link = {
         name: this.samples[s.id],
@@ -219,19 +291,20 @@ class YamlGen {
       seq.push(link);
     }
     seq.sort((a, b) => a.start - b.start);
-    if (seq[0].start !== 0) {
+    const total = smpl ? smpl.length / 2 : 0;
+    if (seq.length ? seq[0].start !== 0 : total !== 0) {
       seq.unshift({
         name: "_",
         start: 0,
-        end: seq[0].start,
+        end: seq.length ? seq[0].start : total,
         rate: 44100,
         type: 1,
       });
     }
     seq.push({
       name: "_END_",
-      start: smpl.data.length / 2,
-      end: smpl.data.length / 2,
+      start: total,
+      end: total,
       rate: 44100,
       type: 1,
     });
@@ -239,59 +312,139 @@ class YamlGen {
       const a = seq[i - 1], b = seq[i];
       a.next = b;
       if (a.end > b.start) a.end = b.start;
-      for (let j = a.end; j < b.start; ++j) {
-        if (smpl.data.readUInt16LE(j << 1) ||
-            (sm24 && sm24.data.readUInt8(j))) {
-          // non-zero data in gap between samples
-          let link = {
-            name: a.name + "_",
-            start: a.end,
-            end: b.start,
-            rate: a.rate,
-            next: b,
-          };
-          a.next = link;
-          seq.splice(i, 0, link);
-          break;
+    }
+    return this.gaps(seq).then(seq => {
+      seq.pop();
+      const res = [];
+      const jobs = [];
+      const pending = new Set();
+      let gaplen = 32;
+      for (let s of seq) {
+        const partner = this.stereo ? this.stereoPartner(s) : null;
+        if (!partner) {
+          jobs.push({name: s.name, rate: s.rate, chans: [s]});
+        } else if (pending.has(partner)) {
+          pending.delete(partner);
+          const [left, right] = s.type === 4 ? [s, partner] : [partner, s];
+          const name = this.samples[left.shdr.id];
+          jobs.push({name, rate: s.rate, chans: [left, right]});
+        } else {
+          pending.add(s);
         }
+        res.push(s.name);
+        if (s.next.start - s.end !== gaplen)
+          res.push({gap: (gaplen = s.next.start - s.end)});
       }
-    }
-    seq.pop();
+      for (let s of pending)
+        jobs.push({name: s.name, rate: s.rate, chans: [s]});
+      // one sample at a time, to keep memory usage low
+      return jobs.reduce((prev, job) => prev.then(
+        () => this.writeSample(job.name, job.rate, job.chans)
+      ), Promise.resolve()).then(() => res);
+    });
+  }
+
+  // Keep non-zero data in gaps between samples as additional samples.
+  gaps(seq) {
     const res = [];
-    let gaplen = 32;
-    for (let s of seq) {
-      let hi = smpl.data.slice(s.start << 1, s.end << 1), lo = null;
-      let h = crypto.createHash("sha1");
-      h.update(hi);
-      let d = {
+    return seq.reduce((prev, a) => prev.then(() => {
+      res.push(a);
+      if (!a.next || a.end >= a.next.start)
+        return;
+      let zero = true;
+      return this.eachBlock([{start: a.end, end: a.next.start}], ([d]) => {
+        zero = !d.hi.some(x => x) && !(d.lo && d.lo.some(x => x));
+        return zero;
+      }).then(() => {
+        if (zero)
+          return;
+        const link = {
+          name: a.name + "_",
+          start: a.end,
+          end: a.next.start,
+          rate: a.rate,
+          next: a.next,
+        };
+        a.next = link;
+        res.push(link);
+      });
+    }), Promise.resolve()).then(() => res);
+  }
+
+  /**
+   * Read the sample data of one or more channels of equal length
+   * block by block, as {hi, lo} buffers with the 16 bit data
+   * and the additional low bytes of 24 bit samples, if any.
+   * The callback may return a promise, or false to stop reading.
+   */
+  eachBlock(chans, fn) {
+    const length = chans[0].end - chans[0].start;
+    const read = (s, pos, end) => Promise.all([
+      this.smpl.read((s.start + pos) << 1, (s.start + end) << 1),
+      this.sm24 ? this.sm24.read(s.start + pos, s.start + end) : null,
+    ]).then(([hi, lo]) => ({hi, lo}));
+    const step = pos => {
+      if (pos >= length)
+        return Promise.resolve();
+      const end = Math.min(length, pos + blockSize);
+      return Promise.all(chans.map(s => read(s, pos, end)))
+        .then(fn)
+        .then(res => res === false ? undefined : step(end));
+    };
+    return step(0);
+  }
+
+  stereoPartner(s) {
+    if (!s.shdr || (s.type !== 2 && s.type !== 4))
+      return null;
+    const other = this.sf2.shdr[s.shdr.wSampleLink];
+    if (!other || other.wSampleLink !== s.shdr.id ||
+        other.sfSampleType !== 6 - s.type)
+      return null;
+    const link = this.sdtaMap.get(other.dwStart);
+    if (link.shdr !== other || link.rate !== s.rate ||
+        link.end - link.start !== s.end - s.start)
+      return null;
+    return link;
+  }
+
+  writeSample(name, rate, chans) {
+    const hashes = chans.map(() => ({
+      smpl: crypto.createHash("sha1"),
+      sm24: this.sm24 ? crypto.createHash("sha1") : null,
+    }));
+    const length = chans[0].end - chans[0].start;
+    const out = this.format === "flac" ?
+          this.flacWriter(name, rate, chans.length) :
+          this.wavWriter(name, rate, chans.length, length);
+    return this.eachBlock(chans, blocks => {
+      blocks.forEach((b, i) => {
+        hashes[i].smpl.update(b.hi);
+        if (b.lo)
+          hashes[i].sm24.update(b.lo);
+      });
+      return out.write(blocks);
+    }).then(() => out.end()).then(() => chans.forEach((s, i) => {
+      const d = {
         length: s.end - s.start,
-        smpl: h.digest("hex"),
+        smpl: hashes[i].smpl.digest("hex"),
       };
-      if (sm24) {
-        lo = sm24.data.slice(s.start, s.end);
-        h = crypto.createHash("sha1");
-        h.update(lo);
-        d.sm24 = h.digest("hex");
-      }
-      this.writeWav(s.name, s.rate, s.type, hi, lo);
-      var shdr = s.shdr ? this.sample(s.shdr) : {};
+      if (hashes[i].sm24)
+        d.sm24 = hashes[i].sm24.digest("hex");
+      const shdr = s.shdr ? this.sample(s.shdr) : {};
       shdr.sdta = d;
       this.writeYaml("samples/" + s.name, shdr, sampleKeys);
-      res.push(s.name);
-      if (s.next.start - s.end !== gaplen)
-        res.push({gap: (gaplen = s.next.start - s.end)});
-    }
-    return res;
+    }));
   }
 
-  writeWav(name, rate, type, hi, lo) {
-    const channels = 1;
-    const bytesPerSample = lo === null ? 2 : 3;
+  wavWriter(name, rate, channels, length) {
+    const bytesPerSample = this.sm24 ? 3 : 2;
     const headlen = 16;
-    const datalen = lo ? hi.length + lo.length : hi.length;
-    const buf = Buffer.alloc(headlen + datalen + 2*8 + 12);
+    const datalen = channels * length * bytesPerSample;
+    const padlen = datalen & 1;
+    const buf = Buffer.alloc(headlen + 2*8 + 12);
     buf.write("RIFF", 0);
-    buf.writeUInt32LE(headlen + datalen + 2*8 + 4, 4);
+    buf.writeUInt32LE(headlen + datalen + padlen + 2*8 + 4, 4);
     buf.write("WAVE", 8);
     buf.write("fmt ", 12);
     buf.writeUInt32LE(headlen, 16);
@@ -306,16 +459,69 @@ class YamlGen {
     pos += headlen;
     buf.write("data", pos);
     buf.writeUInt32LE(datalen, pos + 4);
-    pos += 8;
-    if (!lo) {
-      hi.copy(buf, pos);
-    } else {
-      for (let i = 0; i < lo.length; ++i) {
-        buf.writeUInt8(lo.readUInt8(i));
-        buf.writeInt16LE(hi.readInt16LE(i << 1));
-      }
-    }
-    this.writeFile("wav/" + name + ".wav", buf);
+    const out = this.openFile("wav/" + name + ".wav");
+    out.write(buf);
+    return {
+      write: chans => {
+        const hi = chans[0].hi, lo = chans[0].lo;
+        if (channels === 1 && !lo)
+          return out.write(hi);
+        const block = Buffer.alloc(channels * (lo ? hi.length + lo.length :
+                                               hi.length));
+        let pos = 0;
+        for (let i = 0; i < hi.length >> 1; ++i) {
+          for (let c of chans) {
+            if (lo)
+              block.writeUInt8(c.lo.readUInt8(i), pos++);
+            block.writeInt16LE(c.hi.readInt16LE(i << 1), pos);
+            pos += 2;
+          }
+        }
+        return out.write(block);
+      },
+      end: () => {
+        if (padlen)
+          out.write(Buffer.alloc(padlen));
+        return out.end();
+      },
+    };
+  }
+
+  // FLAC needs the whole sample for its header, so collect the blocks.
+  flacWriter(name, rate, channels) {
+    const blocks = [];
+    return {
+      write: chans => {
+        blocks.push(chans);
+      },
+      end: () => {
+        const lo = this.sm24;
+        const length = blocks.reduce((n, b) => n + (b[0].hi.length >> 1), 0);
+        const pcm = [];
+        for (let c = 0; c < channels; ++c)
+          pcm.push(new Int32Array(length));
+        let pos = 0;
+        for (let b of blocks) {
+          const n = b[0].hi.length >> 1;
+          b.forEach((d, c) => {
+            for (let i = 0; i < n; ++i) {
+              let v = d.hi.readInt16LE(i << 1);
+              if (lo) v = (v << 8) | d.lo.readUInt8(i);
+              pcm[c][pos + i] = v;
+            }
+          });
+          pos += n;
+        }
+        const buf = flac.encode({
+          sampleRate: rate,
+          bitsPerSample: lo ? 24 : 16,
+          channels: pcm,
+        });
+        const out = this.openFile("flac/" + name + ".flac");
+        out.write(buf);
+        return out.end();
+      },
+    };
   }
 
   riff(chunk) {
@@ -329,6 +535,7 @@ class YamlGen {
     for (let k of SF2.RecordLayout.phdr.names)
       if (k !== "wPresetBagNdx")
         res[k] = p[k];
+    res.achPresetName = this.text(p.achPresetName);
     res.zones = p.zones.map(z => {
       const r = {};
       if (z.gens.length)
@@ -336,12 +543,13 @@ class YamlGen {
           let v = g.value;
           if (v instanceof SF2.Range)
             v = String(v);
+          // preset values are offsets, so physical units don't apply
           if (g.name === "instrument")
             v = this.instruments[v];
           return {[g.name]: v};
         });
       if (z.mods.length)
-        r.mods = z.mods;
+        r.mods = z.mods.map(SF2.Modulator.symbolic);
       return r;
     });
     if (res.zones.length &&
@@ -356,6 +564,7 @@ class YamlGen {
     for (let k of SF2.RecordLayout.inst.names)
       if (k !== "wInstBagNdx")
         res[k] = i[k];
+    res.achInstName = this.text(i.achInstName);
     res.zones = i.zones.map(z => {
       const r = {};
       if (z.gens.length)
@@ -365,10 +574,12 @@ class YamlGen {
             v = String(v);
           if (g.name === "sampleID")
             v = this.samples[v];
+          else if (this.units)
+            v = SF2.Generator.toPhysical(g.name, v);
           return {[g.name]: v};
         });
       if (z.mods.length)
-        r.mods = z.mods;
+        r.mods = z.mods.map(SF2.Modulator.symbolic);
       return r;
     });
     if (false && res.zones.length &&
@@ -380,22 +591,43 @@ class YamlGen {
 
   sample(s) {
     const res = {};
+    const rom = s.sfSampleType & 0x8000;
     for (let k of SF2.RecordLayout.shdr.names)
-      if (k !== "dwStart")
+      if (k !== "dwStart" || rom)
         res[k] = s[k];
-    res.dwEnd -= s.dwStart;
-    res.dwStartloop -= s.dwStart;
-    res.dwEndloop -= s.dwStart;
-    if (s.wSampleLink !== s.id &&
-        this.sf2.shdr[s.wSampleLink].wSampleLink === s.id) // paired
+    res.achSampleName = this.text(s.achSampleName);
+    if (!rom) {
+      res.dwEnd -= s.dwStart;
+      res.dwStartloop -= s.dwStart;
+      res.dwEndloop -= s.dwStart;
+    }
+    const link = this.sf2.shdr[s.wSampleLink];
+    if (s.wSampleLink !== s.id && link &&
+        link.wSampleLink === s.id) // paired
       res.wSampleLink = this.samples[res.wSampleLink];
     return res;
   }
 
 }
 
-fs.readFile(process.argv[2], function(err, buf) {
-  if (err) throw err;
-  let sf2 = new SF2.SF2(buf);
-  new YamlGen(sf2, process.argv[3] || "out/");
-});
+function mkdir(dir) {
+  return new Promise((resolve, reject) => fs.mkdir(dir, err =>
+    err && err.code !== "EEXIST" ? reject(err) : resolve()));
+}
+
+module.exports.YamlGen = YamlGen;
+
+if (require.main === module) {
+  const args = [], options = {};
+  for (let arg of process.argv.slice(2)) {
+    let match = /^--(\w+)(?:=(.*))?$/.exec(arg);
+    if (match)
+      options[match[1]] = match[2] === undefined ? true : match[2];
+    else
+      args.push(arg);
+  }
+  let status = 2;
+  process.on("beforeExit", () => process.exit(status));
+  require("./index").sf2ToYaml(args[0], args[1] || "out/", options)
+    .then(() => status = 0, (err) => { console.error(err); status = 1; });
+}
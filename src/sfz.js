@@ -0,0 +1,756 @@
+"use strict";
+
+/*
+ * Conversion between soundfonts and SFZ.
+ * On export, every preset becomes an .sfz file with one <group>
+ * per preset zone and one <region> per instrument zone played by it,
+ * using the generator values resolved by SF2.presetVoices.
+ * Opcodes shared by all regions of a group, or by all groups,
+ * are moved up to the <group> or <global> header.
+ * Samples are written as mono WAV files to the wav directory.
+ * On import, every SFZ file becomes a preset with a single instrument,
+ * whose zones are the regions of the file.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const SF2 = require("./SF2");
+const YamlGen = require("./sf2toyaml").YamlGen;
+const merge3 = require("./merge3");
+const model = require("./model");
+const decodeWav = require("./yamltosf2").decodeWav;
+
+const Modulator = SF2.Modulator;
+
+// modulators from a MIDI controller, as opcode and factor for the amount
+const ccOpcodes = {
+  initialAttenuation: ["volume_onccN", -0.1],
+  pan: ["pan_onccN", 0.2],
+  initialFilterFc: ["cutoff_onccN", 1],
+  fineTune: ["pitch_onccN", 1],
+  vibLfoToPitch: ["pitchlfo_depthccN", 1],
+};
+
+// SFZ headers which form the hierarchy of regions, outermost first
+const levels = ["global", "master", "group", "region"];
+
+// opcodes for the same effect as SF2 without them
+const neutral = {
+  amp_veltrack: "100",
+  trigger: "attack",
+};
+
+const aliases = {
+  loopmode: "loop_mode",
+  loopstart: "loop_start",
+  loopend: "loop_end",
+};
+
+const loopModes = {
+  no_loop: 0,
+  one_shot: 0,
+  loop_continuous: 1,
+  loop_sustain: 3,
+};
+
+const stages = ["delay", "attack", "hold", "decay", "release"];
+
+// the default modulator from velocity to filter cutoff, which SFZ lacks
+const velocityToFilter = Modulator.symbolic(Modulator.defaults.find(
+  m => Modulator.decodeDest(m.sfModDestOper) === "initialFilterFc"));
+
+// generators which have no SFZ equivalent, unless at their default
+const unsupported = [
+  "keynum", "velocity",
+  "keynumToVolEnvHold", "keynumToVolEnvDecay",
+  "keynumToModEnvHold", "keynumToModEnvDecay",
+];
+
+class SfzGen extends YamlGen {
+
+  constructor(sf2, dir="out/", options={}) {
+    super(sf2, dir, Object.assign({}, options, {format: "wav"}));
+    this.report = [];
+  }
+
+  /**
+   * Write the .sfz files and the samples they use.
+   * Resolves to the conversion report, a list of entries with
+   * the file and region concerned and a message describing
+   * what could not be converted. The region is null for samples.
+   */
+  generate() {
+    const sdta = this.sf2.chunks[0].firstForName("sdta");
+    this.smpl = sdta && sdta.firstForName("smpl");
+    this.sm24 = sdta && sdta.firstForName("sm24");
+    const used = new Set();
+    const ready = mkdir(this.dir).then(() => mkdir(path.join(this.dir, "wav")));
+    return ready.then(() => {
+      for (let p of this.sf2.phdr) {
+        const file = this.presets[p.id] + ".sfz";
+        this.writeFile(file, this.sfz(p, file, used));
+      }
+      // one sample at a time, to keep memory usage low
+      return Array.from(used).sort((a, b) => a.id - b.id).reduce(
+        (prev, s) => prev.then(() => this.writeWav(s)), Promise.resolve());
+    }).then(() => Promise.all(this.writes)).then(() => this.report);
+  }
+
+  writeWav(s) {
+    const name = this.samples[s.id], length = s.dwEnd - s.dwStart;
+    // SFZ regions play a single file, and stereo files are not used
+    if (s.sfSampleType & 6)
+      this.report.push({
+        file: `wav/${name}.wav`, region: null,
+        message: "stereo link not converted, written as mono sample",
+      });
+    const out = this.wavWriter(name, s.dwSamplerRate, 1, length);
+    return this.eachBlock([{start: s.dwStart, end: s.dwEnd}],
+                          blocks => out.write(blocks))
+      .then(() => out.end());
+  }
+
+  sfz(p, file, used) {
+    const groups = [];
+    for (let v of this.sf2.presetVoices(p)) {
+      const s = v.sample;
+      const where = `${this.samples[s.id]} ` +
+            `keys ${v.keyRange} velocities ${v.velRange}`;
+      const note = message => this.report.push({file, region: where, message});
+      if ((s.sfSampleType & 0x8000) || !this.smpl ||
+          s.dwEnd > this.smpl.length >> 1) {
+        note("ROM sample without data, region left out");
+        continue;
+      }
+      used.add(s);
+      if (!groups[v.presetZone])
+        groups[v.presetZone] = [];
+      groups[v.presetZone].push(this.region(v, note));
+    }
+    const lines = [
+      `// ${this.text(p.achPresetName)}, bank ${p.wBank} program ${p.wPreset}`,
+      "",
+      "<control>",
+      "default_path=wav/",
+    ];
+    const header = (name, opcodes) => {
+      if (name === "<global>" && !opcodes.size)
+        return;
+      lines.push("", name);
+      for (let [k, v] of opcodes)
+        lines.push(k + "=" + v);
+    };
+    const present = groups.filter(g => g);
+    const global = present.length > 1 ?
+          common(present.map(g => common(g))) : new Map();
+    header("<global>", global);
+    for (let g of present) {
+      const group = g.length > 1 ? common(g) : new Map();
+      header("<group>", without(group, global));
+      for (let r of g)
+        header("<region>", without(without(r, group), global));
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Translate the generators and modulators of a resolved voice
+   * into a map of SFZ opcodes, reporting what cannot be translated.
+   */
+  region(v, note) {
+    const g = v.gens, s = v.sample, res = new Map();
+    const set = (k, val) => res.set(k, typeof val === "number" ?
+                                    +val.toPrecision(6) : val);
+    // shortest value in physical units which converts back exactly
+    const physical = (name, value=g[name]) => {
+      const res = SF2.Generator.toPhysical(name, value);
+      return typeof res === "string" ? parseFloat(res) : +SF2.Generator
+        .conversions[SF2.Generator.units[name]].to(value).toPrecision(6);
+    };
+    set("sample", this.samples[s.id] + ".wav");
+    if (v.keyRange.byLo !== 0 || v.keyRange.byHi !== 127) {
+      set("lokey", v.keyRange.byLo);
+      set("hikey", v.keyRange.byHi);
+    }
+    if (v.velRange.byLo !== 0 || v.velRange.byHi !== 127) {
+      set("lovel", v.velRange.byLo);
+      set("hivel", v.velRange.byHi);
+    }
+    const root = g.overridingRootKey >= 0 ? g.overridingRootKey :
+          s.byOriginalPitch > 127 ? 60 : s.byOriginalPitch;
+    set("pitch_keycenter", root);
+    if (g.scaleTuning !== 100)
+      set("pitch_keytrack", g.scaleTuning);
+    if (g.coarseTune)
+      set("transpose", g.coarseTune);
+    if (g.fineTune + s.chPitchCorrection)
+      set("tune", g.fineTune + s.chPitchCorrection);
+
+    const addr = (fine, coarse) => g[fine] + 32768 * g[coarse];
+    const length = s.dwEnd - s.dwStart;
+    const offset = addr("startAddrsOffset", "startAddrsCoarseOffset");
+    const end = addr("endAddrsOffset", "endAddrsCoarseOffset");
+    if (offset)
+      set("offset", offset);
+    if (end)
+      set("end", length - 1 + end);
+    const mode = g.sampleModes & 3;
+    set("loop_mode", mode === 1 ? "loop_continuous" :
+        mode === 3 ? "loop_sustain" : "no_loop");
+    if (mode === 1 || mode === 3) {
+      set("loop_start", s.dwStartloop - s.dwStart +
+          addr("startloopAddrsOffset", "startloopAddrsCoarseOffset"));
+      set("loop_end", s.dwEndloop - s.dwStart - 1 +
+          addr("endloopAddrsOffset", "endloopAddrsCoarseOffset"));
+    }
+
+    if (g.initialAttenuation)
+      set("volume", -g.initialAttenuation / 10);
+    if (g.pan)
+      set("pan", g.pan / 5);
+    if (g.reverbEffectsSend)
+      set("effect1", g.reverbEffectsSend / 10);
+    if (g.chorusEffectsSend)
+      set("effect2", g.chorusEffectsSend / 10);
+    if (g.exclusiveClass) {
+      set("group", g.exclusiveClass);
+      set("off_by", g.exclusiveClass);
+    }
+
+    const envelope = (prefix, kind, sustain) => {
+      for (let stage of ["delay", "attack", "hold", "decay", "release"]) {
+        if (g[stage + kind] > -12000)
+          set(prefix + "_" + stage, physical(stage + kind));
+      }
+      if (sustain < 100)
+        set(prefix + "_sustain", sustain);
+    };
+    envelope("ampeg", "VolEnv",
+             +(100 * Math.pow(10, -g.sustainVolEnv / 200)).toPrecision(4));
+    const modSustain = 100 - g.sustainModEnv / 10;
+    if (g.modEnvToPitch) {
+      envelope("pitcheg", "ModEnv", modSustain);
+      set("pitcheg_depth", g.modEnvToPitch);
+    }
+    if (g.modEnvToFilterFc) {
+      envelope("fileg", "ModEnv", modSustain);
+      set("fileg_depth", g.modEnvToFilterFc);
+    }
+
+    const lfo = (prefix, kind, depth) => {
+      if (g["delay" + kind] > -12000)
+        set(prefix + "_delay", physical("delay" + kind));
+      set(prefix + "_freq", physical("freq" + kind));
+      if (depth)
+        set(prefix + "_depth", depth);
+    };
+    // the vibrato LFO is also needed for controllers modulating its depth
+    if (g.vibLfoToPitch || v.mods.some(m => m.modAmount &&
+        Modulator.decodeDest(m.sfModDestOper) === "vibLfoToPitch")) {
+      lfo("pitchlfo", "VibLFO", g.vibLfoToPitch);
+      if (g.modLfoToPitch)
+        note("modLfoToPitch not converted, as vibLfoToPitch " +
+             "uses the only pitch LFO");
+    } else if (g.modLfoToPitch) {
+      lfo("pitchlfo", "ModLFO", g.modLfoToPitch);
+    }
+    if (g.modLfoToFilterFc)
+      lfo("fillfo", "ModLFO", g.modLfoToFilterFc);
+    if (g.modLfoToVolume)
+      lfo("amplfo", "ModLFO", g.modLfoToVolume / 10);
+
+    for (let name of unsupported)
+      if (g[name] !== (SF2.Generator.defaults[name] || 0))
+        note(`${name} not converted`);
+    const shift = this.modulators(v.mods, res, note);
+
+    if (g.initialFilterFc < 13500 ||
+        Array.from(res.keys()).some(k => /^(fil|cutoff_)/.test(k))) {
+      set("fil_type", "lpf_2p");
+      set("cutoff", physical("initialFilterFc", g.initialFilterFc + shift));
+      if (g.initialFilterQ)
+        set("resonance", g.initialFilterQ / 10);
+    }
+    return res;
+  }
+
+  // Modulators of MIDI controllers or velocity with plain linear response.
+  // Returns the amount in cents by which the cutoff must be moved
+  // to account for velocity tracking from max to min.
+  modulators(mods, res, note) {
+    const add = (k, val) => res.set(k, +((res.get(k) || 0) + val)
+                                    .toPrecision(6));
+    let shift = 0;
+    for (let m of mods) {
+      if (!m.modAmount)
+        continue;
+      const src = m.sfModSrcOper, dest = Modulator.decodeDest(m.sfModDestOper);
+      if (Modulator.defaults.some(d =>
+        ["sfModSrcOper", "sfModDestOper", "modAmount", "sfModAmtSrcOper",
+         "sfModTransOper"].every(k => d[k] === m[k]))) {
+        if (dest === "initialFilterFc") {
+          // amount * (1 - velocity) is a lower cutoff tracking velocity
+          shift += m.modAmount;
+          add("fil_veltrack", -m.modAmount);
+          continue;
+        }
+        if (dest !== "vibLfoToPitch")
+          continue; // SFZ players have equivalents built in
+      }
+      if (!(src & 0xff00) && !m.sfModAmtSrcOper && !m.sfModTransOper) {
+        if ((src & 0x80) && ccOpcodes.hasOwnProperty(dest)) {
+          const [opcode, factor] = ccOpcodes[dest];
+          add(opcode.replace("N", src & 0x7f), m.modAmount * factor);
+          continue;
+        }
+        if (src === 2 && dest === "initialFilterFc") { // velocity
+          add("fil_veltrack", m.modAmount);
+          continue;
+        }
+      }
+      const label = merge3.modKeys([Modulator.symbolic(m)])[0].label;
+      note(`modulator ${label} with amount ${m.modAmount} not converted`);
+    }
+    return shift;
+  }
+
+}
+
+class SfzParse {
+
+  constructor(options={}) {
+    this.options = options;
+    this.warn = options.warn || (msg => console.warn("Warning: " + msg));
+    this.font = new model.SoundFont();
+    this.bank = options.bank || 0;
+    this.program = options.program || 0;
+    this.wavFiles = new Map();
+  }
+
+  /**
+   * Add the SFZ files to the soundfont, as presets numbered
+   * consecutively from the bank and program options.
+   * Resolves to the SoundFont object.
+   */
+  load(files) {
+    return files.reduce((prev, file) => prev.then(() => this.addFile(file)),
+                        Promise.resolve()).then(() => this.font);
+  }
+
+  addFile(file) {
+    const name = path.basename(file, path.extname(file));
+    const dir = path.dirname(file);
+    const warned = new Set();
+    const warn = msg => {
+      if (!warned.has(msg))
+        this.warn(file + ": " + msg);
+      warned.add(msg);
+    };
+    if (this.program > 127)
+      throw Error("No program number left in bank " + this.bank);
+    if (!this.font.presets.length)
+      this.font.info.INAM = name;
+    return this.readLines(file, dir, 0).then(lines => this.regions(lines, warn)
+      .reduce((prev, r) => prev.then(zones => this.zones(r, dir, warn)
+        .then(z => zones.concat(z))), Promise.resolve([])))
+      .then(zones => {
+        const inst = this.font.addInstrument({name});
+        inst.setGlobal(globalZone(zones));
+        for (let z of zones)
+          inst.addZone(z);
+        this.font.addPreset({name, bank: this.bank, preset: this.program++})
+          .addZone({instrument: inst});
+      });
+  }
+
+  // Lines of an SFZ file without comments, with #include files inserted.
+  readLines(file, dir, depth) {
+    if (depth > 16)
+      throw Error("Too deeply nested #include of " + file);
+    return readFile(file).then(buf => {
+      const text = buf.toString("utf8").replace(/\/\*[^]*?\*\//g, " ");
+      return Promise.all(text.split(/\r?\n/).map(line => {
+        line = line.replace(/(^|\s)\/\/.*$/, "");
+        const inc = /^\s*#include\s+"([^"]*)"/.exec(line);
+        // included files are relative to the main file
+        return inc ? this.readLines(path.join(dir, slashes(inc[1])), dir,
+                                    depth + 1) : [line];
+      }));
+    }).then(lists => [].concat.apply([], lists));
+  }
+
+  /**
+   * Collect the opcodes of each region, including those inherited
+   * from its <global>, <master> and <group> headers,
+   * together with the opcodes of the preceding <control> header.
+   */
+  regions(lines, warn) {
+    const defines = new Map();
+    const scopes = levels.map(() => ({}));
+    const res = [];
+    let control = {}, current = scopes[0];
+    for (let line of lines) {
+      const def = /^\s*#define\s+(\$\w+)\s+(.*?)\s*$/.exec(line);
+      if (def) {
+        defines.set(def[1], def[2]);
+        continue;
+      }
+      const names = Array.from(defines.keys())
+            .sort((a, b) => b.length - a.length);
+      for (let name of names)
+        line = line.split(name).join(defines.get(name));
+      const tokens = [], re = /<(\w+)>|([\w$]+)=/g;
+      let match;
+      while ((match = re.exec(line)))
+        tokens.push(match);
+      tokens.forEach((t, i) => {
+        if (t[2]) {
+          const end = i + 1 < tokens.length ? tokens[i + 1].index : line.length;
+          current[t[2]] = line.slice(t.index + t[0].length, end).trim();
+          return;
+        }
+        const level = levels.indexOf(t[1]);
+        if (t[1] === "control") {
+          current = control = {};
+        } else if (level === -1) {
+          warn(`header <${t[1]}> not supported`);
+          current = {};
+        } else {
+          for (let l = level; l < levels.length; ++l)
+            scopes[l] = {};
+          current = scopes[level];
+          if (t[1] === "region") {
+            current = Object.assign({}, ...scopes);
+            res.push({opcodes: current, control});
+          }
+        }
+      });
+    }
+    return res;
+  }
+
+  zones(r, dir, warn) {
+    const sample = r.opcodes.sample;
+    if (!sample) {
+      warn("region without sample left out");
+      return Promise.resolve([]);
+    }
+    if (/^\*/.test(sample)) {
+      warn(`generated sample ${sample} not supported, region left out`);
+      return Promise.resolve([]);
+    }
+    const file = path.join(dir, slashes((r.control.default_path || "") +
+                                        sample));
+    return this.wavFile(file).then(samples => this.convert(r, samples, warn));
+  }
+
+  // The samples of a WAV file, one per channel, with the loop of the file.
+  wavFile(file) {
+    if (!this.wavFiles.has(file))
+      this.wavFiles.set(file, readFile(file).then(buf => {
+        const wav = decodeWav(buf), info = wavInfo(buf);
+        const name = path.basename(file, path.extname(file));
+        const stereo = wav.channels.length === 2;
+        const res = wav.channels.map((c, i) => {
+          const data = new Int16Array(c.smpl.length >> 1);
+          for (let j = 0; j < data.length; ++j)
+            data[j] = c.smpl.readInt16LE(2 * j);
+          return this.font.addSample({
+            name: stereo ? name + (i ? " R" : " L") : name,
+            data,
+            data24: c.sm24,
+            sampleRate: wav.sampleRate,
+            originalPitch: info.originalPitch,
+            loopStart: info.loop ? info.loop.start : 0,
+            loopEnd: info.loop ? info.loop.end : 0,
+            type: stereo ? (i ? "right" : "left") : "mono",
+          });
+        });
+        if (stereo) {
+          res[0].link = res[1];
+          res[1].link = res[0];
+        }
+        res.looped = !!info.loop;
+        return res;
+      }));
+    return this.wavFiles.get(file);
+  }
+
+  /**
+   * Translate the opcodes of a region into instrument zones,
+   * one for each channel of its sample, warning about opcodes
+   * which have no SF2 equivalent.
+   */
+  convert(r, samples, warn) {
+    const op = {}, gens = {}, mods = [];
+    for (let name of Object.keys(r.opcodes)) {
+      const key = aliases[name] || name.replace(/^cutoff_cc/, "cutoff_oncc");
+      if (neutral[key] !== r.opcodes[name])
+        op[key] = r.opcodes[name];
+    }
+    const take = name => {
+      const v = op[name];
+      delete op[name];
+      return v;
+    };
+    const num = (name, parse=Number) => {
+      const v = take(name);
+      const x = v === undefined ? v : parse(v);
+      if (x !== undefined && !isFinite(x)) {
+        warn(`invalid value ${name}=${v}`);
+        return undefined;
+      }
+      return x;
+    };
+    const opcode = (name, fn) => {
+      const x = num(name);
+      if (x !== undefined)
+        fn(x);
+    };
+    const set = (name, value) => {
+      const limits = SF2.Generator.limits[name] || [-32768, 32767];
+      const v = Math.round(Math.min(limits[1], Math.max(limits[0], value)));
+      if (v !== Math.round(value))
+        warn(`${name} out of range, clipped to ${v}`);
+      if (v !== (SF2.Generator.defaults[name] || 0))
+        gens[name] = v;
+    };
+    const physical = (name, x) => set(name, SF2.Generator.conversions[
+      SF2.Generator.units[name]].from(x));
+    const seconds = (name, x) => x > 0 ? physical(name, x) :
+          set(name, -12000);
+    const addr = (fine, coarse, x) => {
+      const c = Math.trunc(x / 32768);
+      if (x - 32768 * c)
+        gens[fine] = x - 32768 * c;
+      if (c)
+        gens[coarse] = c;
+    };
+    // parameters shared by the SFZ envelopes or LFOs mapped to one of SF2
+    const shared = (prefixes, params) => {
+      const res = {};
+      for (let prefix of prefixes) {
+        for (let p of params) {
+          const x = num(prefix + "_" + p);
+          if (x !== undefined && res.hasOwnProperty(p) && res[p] !== x)
+            warn(`${prefix}_${p} differs from ${prefixes[0]}_${p}, ` +
+                 "which is used for both");
+          else if (x !== undefined)
+            res[p] = x;
+        }
+      }
+      return res;
+    };
+
+    take("sample");
+    const shift = (+r.control.note_offset || 0) +
+          12 * (+r.control.octave_offset || 0);
+    const key = name => {
+      const k = num(name, midiKey);
+      return k === undefined ? k : k + shift;
+    };
+    const k = key("key"), lokey = key("lokey"), hikey = key("hikey");
+    const center = take("pitch_keycenter");
+    let root = k === undefined ? 60 : k;
+    if (center === "sample")
+      root = samples[0].originalPitch;
+    else if (center !== undefined && isFinite(midiKey(center)))
+      root = midiKey(center) + shift;
+    else if (center !== undefined)
+      warn(`invalid value pitch_keycenter=${center}`);
+    const keyRange = [lokey !== undefined ? lokey : k !== undefined ? k : 0,
+                      hikey !== undefined ? hikey : k !== undefined ? k : 127];
+    const lovel = num("lovel"), hivel = num("hivel");
+    const velRange = [lovel === undefined ? 0 : lovel,
+                      hivel === undefined ? 127 : hivel];
+    if (keyRange[0] > keyRange[1] || velRange[0] > velRange[1] ||
+        keyRange[1] < 0 || keyRange[0] > 127) {
+      warn("region which cannot sound left out");
+      return [];
+    }
+    if (root !== samples[0].originalPitch)
+      set("overridingRootKey", root);
+    const tune = num("tune") || 0;
+    set("coarseTune", (num("transpose") || 0) + Math.trunc(tune / 100));
+    set("fineTune", tune % 100);
+    opcode("pitch_keytrack", x => set("scaleTuning", x));
+
+    const s = samples[0];
+    opcode("offset", x => addr("startAddrsOffset", "startAddrsCoarseOffset",
+                               x));
+    opcode("end", x => x < s.data.length - 1 &&
+           addr("endAddrsOffset", "endAddrsCoarseOffset",
+                x + 1 - s.data.length));
+    const mode = take("loop_mode");
+    const loopStart = num("loop_start"), loopEnd = num("loop_end");
+    if (mode === "one_shot")
+      warn("loop_mode=one_shot has no SF2 equivalent, converted as no_loop");
+    if (mode !== undefined && !loopModes.hasOwnProperty(mode))
+      warn(`invalid value loop_mode=${mode}`);
+    set("sampleModes", mode === undefined ? (samples.looped ? 1 : 0) :
+        loopModes[mode] || 0);
+    if (loopStart !== undefined && loopEnd !== undefined &&
+        s.loopStart === s.loopEnd) {
+      // the first region to define a loop sets that of the sample
+      for (let c of samples) {
+        c.loopStart = loopStart;
+        c.loopEnd = loopEnd + 1;
+      }
+    }
+    if (loopStart !== undefined)
+      addr("startloopAddrsOffset", "startloopAddrsCoarseOffset",
+           loopStart - s.loopStart);
+    if (loopEnd !== undefined)
+      addr("endloopAddrsOffset", "endloopAddrsCoarseOffset",
+           loopEnd + 1 - s.loopEnd);
+
+    opcode("volume", x => set("initialAttenuation", -10 * x));
+    opcode("pan", x => samples.length > 1 ?
+           warn("pan of stereo samples not converted") : set("pan", 5 * x));
+    opcode("effect1", x => physical("reverbEffectsSend", x));
+    opcode("effect2", x => physical("chorusEffectsSend", x));
+    const group = num("group"), offBy = num("off_by");
+    if (offBy && offBy === group)
+      set("exclusiveClass", group);
+    else if (offBy)
+      warn(`off_by=${offBy} other than group=${group} not converted`);
+
+    for (let stage of stages)
+      opcode("ampeg_" + stage, x => seconds(stage + "VolEnv", x));
+    opcode("ampeg_sustain", x => set("sustainVolEnv", x > 0 ?
+                                     -200 * Math.log10(x / 100) : 1440));
+    const modEnv = shared(["fileg", "pitcheg"], stages.concat("sustain"));
+    for (let stage of stages)
+      if (modEnv.hasOwnProperty(stage))
+        seconds(stage + "ModEnv", modEnv[stage]);
+    if (modEnv.hasOwnProperty("sustain"))
+      set("sustainModEnv", 10 * (100 - modEnv.sustain));
+    opcode("fileg_depth", x => set("modEnvToFilterFc", x));
+    opcode("pitcheg_depth", x => set("modEnvToPitch", x));
+    for (let [kind, prefixes] of [["ModLFO", ["amplfo", "fillfo"]],
+                                  ["VibLFO", ["pitchlfo"]]]) {
+      const lfo = shared(prefixes, ["delay", "freq"]);
+      if (lfo.hasOwnProperty("delay"))
+        seconds("delay" + kind, lfo.delay);
+      if (lfo.freq > 0)
+        physical("freq" + kind, lfo.freq);
+    }
+    opcode("amplfo_depth", x => set("modLfoToVolume", 10 * x));
+    opcode("fillfo_depth", x => set("modLfoToFilterFc", x));
+    opcode("pitchlfo_depth", x => set("vibLfoToPitch", x));
+
+    const filter = take("fil_type");
+    if (filter !== undefined && filter !== "lpf_2p")
+      warn(`fil_type=${filter} has no SF2 equivalent, converted as lpf_2p`);
+    opcode("cutoff", x => x > 0 && physical("initialFilterFc", x));
+    opcode("resonance", x => set("initialFilterQ", 10 * x));
+    opcode("fil_veltrack", x => mods.push({
+      src: "noteOnVelocity", dest: "initialFilterFc", amount: Math.round(x),
+    }));
+    for (let name of Object.keys(op)) {
+      for (let dest of Object.keys(ccOpcodes)) {
+        const [pattern, factor] = ccOpcodes[dest];
+        const cc = new RegExp("^" + pattern.replace("N", "(\\d+)") + "$")
+              .exec(name);
+        if (cc && +cc[1] < 128)
+          opcode(name, x => mods.push({
+            src: "cc" + cc[1], dest, amount: Math.round(x / factor),
+          }));
+      }
+    }
+
+    for (let name of Object.keys(op))
+      warn(`opcode ${name} has no SF2 equivalent`);
+    for (let name of Object.keys(r.control))
+      if (["default_path", "note_offset", "octave_offset"].indexOf(name) < 0)
+        warn(`opcode ${name} has no SF2 equivalent`);
+    // velocity 0 is no note-on, so 1-127 covers all velocities
+    const range = ([lo, hi], min) => lo <= min && hi >= 127 ? null :
+          [Math.max(0, lo), Math.min(127, hi)];
+    return samples.map((sample, i) => ({
+      sample,
+      keyRange: range(keyRange, 0),
+      velRange: range(velRange, 1),
+      gens: samples.length > 1 ?
+        Object.assign({}, gens, {pan: i ? 500 : -500}) : gens,
+      mods,
+    }));
+  }
+
+}
+
+/**
+ * Move generators with the same value in all zones to the global zone,
+ * which also disables the default modulator from velocity
+ * to filter cutoff, as SFZ has no such default.
+ */
+function globalZone(zones) {
+  const gens = {};
+  if (zones.length > 1)
+    for (let name of Object.keys(zones[0].gens))
+      if (zones.every(z => z.gens[name] === zones[0].gens[name]))
+        gens[name] = zones[0].gens[name];
+  for (let z of zones)
+    for (let name of Object.keys(gens))
+      delete z.gens[name];
+  return {gens, mods: [{
+    src: velocityToFilter.sfModSrcOper,
+    dest: "initialFilterFc",
+    amount: 0,
+    amtSrc: velocityToFilter.sfModAmtSrcOper,
+    transform: velocityToFilter.sfModTransOper,
+  }]};
+}
+
+// MIDI key number, also given as note name, with c4 being 60.
+function midiKey(value) {
+  const match = /^([a-g])([#b]?)(-?\d+)$/i.exec(value);
+  if (!match)
+    return /^-?\d+$/.test(value) ? +value : NaN;
+  return 12 * (+match[3] + 1) + "c d ef g a b".indexOf(
+    match[1].toLowerCase()) + (match[2] === "#" ? 1 : match[2] ? -1 : 0);
+}
+
+// Unity note and first loop from the smpl chunk of a WAV file.
+function wavInfo(buf) {
+  const smpl = new SF2.RIFF(buf).firstForName("WAVE").firstForName("smpl");
+  const res = {originalPitch: 60, loop: null};
+  if (!smpl || smpl.data.length < 36)
+    return res;
+  const d = smpl.data;
+  res.originalPitch = Math.min(127, d.readUInt32LE(12));
+  if (d.readUInt32LE(28) && d.length >= 60)
+    res.loop = {start: d.readUInt32LE(44), end: d.readUInt32LE(48) + 1};
+  return res;
+}
+
+function slashes(file) {
+  return file.replace(/\\/g, "/");
+}
+
+function readFile(file) {
+  return new Promise((resolve, reject) => fs.readFile(
+    file, (err, buf) => err ? reject(err) : resolve(buf)));
+}
+
+// Opcodes with equal values in all maps, except for the sample.
+function common(maps) {
+  const res = new Map();
+  for (let [k, v] of maps[0])
+    if (k !== "sample" && maps.every(m => m.get(k) === v))
+      res.set(k, v);
+  return res;
+}
+
+function without(map, other) {
+  return new Map(Array.from(map).filter(([k, v]) => other.get(k) !== v));
+}
+
+function mkdir(dir) {
+  return new Promise((resolve, reject) => fs.mkdir(dir, err =>
+    err && err.code !== "EEXIST" ? reject(err) : resolve()));
+}
+
+module.exports.SfzGen = SfzGen;
+module.exports.SfzParse = SfzParse;
@@ -0,0 +1,91 @@
+"use strict";
+
+/*
+ * Extraction of selected presets into a new soundfont,
+ * keeping only the instruments and samples these presets use.
+ * Presets are selected by bank and program number or by name.
+ */
+
+const model = require("./model");
+
+/**
+ * Parse a preset selector into a function testing a preset
+ * of the object model. A selector is either bank:program,
+ * where each part is a number, a range like 0-15 or * for all,
+ * or a name pattern in which * matches any text
+ * and ? a single character.
+ */
+function selector(str) {
+  const num = /^(\*|\d+(?:-\d+)?):(\*|\d+(?:-\d+)?)$/.exec(str);
+  if (!num) {
+    const re = new RegExp("^" + str.split("*").map(part => part.split("?")
+      .map(s => s.replace(/[\\^$.|+()[\]{}]/g, "\\$&")).join("."))
+      .join(".*") + "$");
+    return p => re.test(p.name);
+  }
+  const [bank, program] = [num[1], num[2]].map(part => {
+    if (part === "*")
+      return () => true;
+    const [lo, hi] = part.split("-").map(Number);
+    if (hi < lo)
+      throw Error("Invalid preset selector: " + str);
+    return x => x >= lo && x <= (hi === undefined ? lo : hi);
+  });
+  return p => bank(p.bank) && program(p.preset);
+}
+
+/**
+ * A new soundfont with the presets of font matched by any of
+ * the selectors, given as strings or functions, together with
+ * the instruments they use and the samples of these,
+ * including the stereo partners of the samples.
+ * The order of all of them is kept, and the objects are shared
+ * with font, so the result should not be modified.
+ */
+function subset(font, selectors) {
+  const presets = font.presets.filter(matcher(selectors));
+  if (!presets.length)
+    throw Error("No preset matches " + selectors.join(", "));
+  const instruments = new Set();
+  for (let p of presets)
+    for (let z of p.zones)
+      instruments.add(z.instrument);
+  const samples = new Set();
+  for (let i of instruments)
+    for (let z of i.zones)
+      samples.add(z.sample);
+  for (let s of samples)
+    if (s.link)
+      samples.add(s.link);
+  const res = new model.SoundFont();
+  res.info = Object.assign({}, font.info);
+  res.presets = presets;
+  res.instruments = font.instruments.filter(i => instruments.has(i));
+  res.samples = font.samples.filter(s => samples.has(s));
+  return res;
+}
+
+/**
+ * Like subset, but for a parsed SF2 file, whose presets are selected
+ * before the object model is built, so that only the sample data
+ * of the selected presets is copied. Options are as for
+ * SoundFont.fromSF2.
+ */
+function subsetSF2(sf2, selectors, options={}) {
+  const res = model.SoundFont.fromSF2(sf2, Object.assign({}, options, {
+    presets: matcher(selectors),
+  }));
+  if (!res.presets.length)
+    throw Error("No preset matches " + selectors.join(", "));
+  return res;
+}
+
+// A function testing whether a preset matches any of the selectors.
+function matcher(selectors) {
+  const tests = selectors.map(s => typeof s === "function" ? s : selector(s));
+  return p => tests.some(t => t(p));
+}
+
+module.exports.selector = selector;
+module.exports.subset = subset;
+module.exports.subsetSF2 = subsetSF2;
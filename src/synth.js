@@ -0,0 +1,741 @@
+"use strict";
+
+/*
+ * Offline synthesis following the SoundFont 2.04 sound model.
+ * Generators of the preset and instrument zones are layered,
+ * the default modulators are applied, and each voice has volume and
+ * modulation envelopes, two triangle LFOs and a resonant low-pass filter.
+ * There is no randomness and no dependence on the clock,
+ * so rendering the same notes always produces the same samples.
+ * Effects (reverb and chorus) and linked modulators are not supported.
+ */
+
+const SF2 = require("./SF2");
+
+const Generator = SF2.Generator;
+
+// controls (envelopes, LFOs, pitch, filter) are updated once per block
+const blockSize = 64;
+
+const op = {};
+Generator.names.forEach((name, i) => op[name] = i);
+
+const limits = Generator.names.map(name => Generator.limits[name]);
+
+// the pitch wheel modulator targets the pitch, which is no generator
+const pitchDest = op.unused5;
+
+// Map a modulator source to its output value, see section 8.2.
+function source(src, channel, key, velocity) {
+  const index = src & 0x7f;
+  let x;
+  if (src & 0x80) {
+    x = channel.cc[index] / 128;
+  } else {
+    switch (index) {
+      case 0: return 1; // no controller
+      case 2: x = velocity / 128; break;
+      case 3: x = key / 128; break;
+      case 10: x = channel.keyPressure[key] / 128; break;
+      case 13: x = channel.pressure / 128; break;
+      case 14: x = channel.pitchWheel / 16384; break;
+      case 16: x = channel.pitchWheelSensitivity / 128; break;
+      default: return 0;
+    }
+  }
+  if (src & 0x100)
+    x = 1 - x;
+  const curve = curves[(src >> 10) & 3];
+  if (!(src & 0x200))
+    return curve(x);
+  if (src >> 10 === 3)
+    return x >= 0.5 ? 1 : -1;
+  x = 2 * x - 1;
+  return x < 0 ? -curve(-x) : curve(x);
+}
+
+function concave(x) {
+  return x >= 1 ? 1 : Math.min(1, -40 / 96 * Math.log10(1 - x));
+}
+
+const curves = [
+  x => x,
+  concave,
+  x => 1 - concave(1 - x),
+  x => x >= 0.5 ? 1 : 0,
+];
+
+function modulate(mod, channel, key, velocity) {
+  const res = mod.modAmount *
+        source(mod.sfModSrcOper, channel, key, velocity) *
+        source(mod.sfModAmtSrcOper, channel, key, velocity);
+  return mod.sfModTransOper === 2 ? Math.abs(res) : res;
+}
+
+function seconds(timecents) {
+  return timecents <= -32768 ? 0 : Math.pow(2, timecents / 1200);
+}
+
+function hertz(cents) {
+  return 8.176 * Math.pow(2, cents / 1200);
+}
+
+/*
+ * Envelope with delay, attack, hold, decay, sustain and release stages.
+ * The level runs from 0 to 1 and changes linearly in each stage.
+ * For the volume envelope, the attack is linear in amplitude,
+ * while the other stages are linear in dB, with 96 dB of range.
+ */
+class Envelope {
+
+  constructor(times, sustain, volume) {
+    this.times = times; // delay, attack, hold, decay and release in seconds
+    this.sustain = Math.max(0, Math.min(1, sustain));
+    this.volume = volume;
+    this.stage = 0;
+    this.time = 0;
+    this.level = 0;
+    this.advance(0);
+  }
+
+  // delay, attack, hold, decay, sustain, release, done
+  get length() {
+    switch (this.stage) {
+      case 3: return this.times[3] * (1 - this.sustain);
+      case 4: return Infinity;
+      case 5: return this.times[4] * this.start;
+      case 6: return Infinity;
+      default: return this.times[this.stage];
+    }
+  }
+
+  get done() {
+    return this.stage === 6;
+  }
+
+  get gain() {
+    if (this.stage < 2 || !this.volume)
+      return this.level;
+    return this.level > 0 ? Math.pow(10, 4.8 * (this.level - 1)) : 0;
+  }
+
+  advance(dt) {
+    while (this.stage !== 6) {
+      const len = this.length;
+      if (this.time + dt < len) {
+        this.time += dt;
+        break;
+      }
+      dt -= len - this.time;
+      this.time = 0;
+      this.stage = this.stage === 5 ? 6 : this.stage + 1;
+    }
+    switch (this.stage) {
+      case 0: this.level = 0; break;
+      case 1: this.level = this.time / this.times[1]; break;
+      case 2: this.level = 1; break;
+      case 3: this.level = 1 - this.time / this.times[3]; break;
+      case 4: this.level = this.sustain; break;
+      case 5: this.level = this.start - this.time / this.times[4]; break;
+      case 6: this.level = 0; break;
+    }
+  }
+
+  release() {
+    if (this.stage >= 5)
+      return;
+    let level = this.level;
+    if (this.volume && this.stage < 2)
+      level = level > 0 ? Math.max(0, 1 + Math.log10(level) / 4.8) : 0;
+    this.start = level;
+    this.stage = 5;
+    this.time = 0;
+    this.advance(0);
+  }
+
+}
+
+// Triangle wave from -1 to 1, starting at 0 after the delay.
+class LFO {
+
+  constructor(delay, freq) {
+    this.delay = delay;
+    this.freq = freq;
+    this.time = 0;
+  }
+
+  get value() {
+    const t = this.time - this.delay;
+    if (t <= 0)
+      return 0;
+    const phase = t * this.freq % 1;
+    return phase < 0.25 ? 4 * phase :
+      phase < 0.75 ? 2 - 4 * phase : 4 * phase - 4;
+  }
+
+  advance(dt) {
+    this.time += dt;
+  }
+
+}
+
+/**
+ * MIDI channel state, as seen by the modulators.
+ * On a drum channel, presets are taken from bank 128.
+ */
+class Channel {
+
+  constructor(drums) {
+    this.drums = !!drums;
+    this.bank = drums ? 128 : 0;
+    this.program = 0;
+    this.cc = new Uint8Array(128);
+    this.cc[7] = 100; // volume
+    this.cc[10] = 64; // pan
+    this.keyPressure = new Uint8Array(128);
+    this.pitchWheelSensitivity = 2;
+    this.resetControllers();
+  }
+
+  // as for controller 121, which leaves volume, pan and bank alone
+  resetControllers() {
+    this.cc[1] = 0; // modulation
+    this.cc[11] = 127; // expression
+    this.cc.fill(0, 64, 70); // pedals
+    this.cc[100] = this.cc[101] = 127; // no parameter selected
+    this.nrpn = false; // data entry refers to an NRPN
+    this.keyPressure.fill(0);
+    this.pressure = 0;
+    this.pitchWheel = 8192;
+  }
+
+}
+
+/**
+ * A single sample being played, with its own envelopes, LFOs and filter.
+ */
+class Voice {
+
+  constructor(synth, channel, key, velocity, layer) {
+    const gens = Generator.names.map(name => layer.gens[name] || 0);
+    const s = layer.sample;
+    this.synth = synth;
+    this.channel = channel;
+    this.key = key;
+    this.velocity = velocity;
+    this.sample = s;
+    this.gens = gens;
+    this.mods = layer.mods;
+    this.noteKey = gens[op.keynum] >= 0 ? gens[op.keynum] : key;
+    this.noteVelocity = gens[op.velocity] >= 0 ? gens[op.velocity] : velocity;
+    this.update();
+
+    const data = synth.data;
+    this.hi = data.hi;
+    this.lo = data.lo;
+    const size = data.hi.length >> 1;
+    const addr = (base, fine, coarse) => Math.max(0, Math.min(
+      size, base + gens[op[fine]] + 32768 * gens[op[coarse]]));
+    this.start = addr(s.dwStart, "startAddrsOffset", "startAddrsCoarseOffset");
+    this.end = addr(s.dwEnd, "endAddrsOffset", "endAddrsCoarseOffset");
+    this.loopStart = addr(s.dwStartloop, "startloopAddrsOffset",
+                          "startloopAddrsCoarseOffset");
+    this.loopEnd = addr(s.dwEndloop, "endloopAddrsOffset",
+                        "endloopAddrsCoarseOffset");
+    this.mode = gens[op.sampleModes] & 3;
+    if (this.mode === 2 || this.loopEnd <= this.loopStart)
+      this.mode = 0;
+    this.pos = this.start;
+
+    const g = this.g, keyScale = 60 - this.noteKey;
+    this.volEnv = new Envelope([
+      seconds(g[op.delayVolEnv]),
+      seconds(g[op.attackVolEnv]),
+      seconds(g[op.holdVolEnv] + g[op.keynumToVolEnvHold] * keyScale),
+      seconds(g[op.decayVolEnv] + g[op.keynumToVolEnvDecay] * keyScale),
+      seconds(g[op.releaseVolEnv]),
+    ], 1 - g[op.sustainVolEnv] / 960, true);
+    this.modEnv = new Envelope([
+      seconds(g[op.delayModEnv]),
+      seconds(g[op.attackModEnv]),
+      seconds(g[op.holdModEnv] + g[op.keynumToModEnvHold] * keyScale),
+      seconds(g[op.decayModEnv] + g[op.keynumToModEnvDecay] * keyScale),
+      seconds(g[op.releaseModEnv]),
+    ], 1 - g[op.sustainModEnv] / 1000, false);
+    this.modLfo = new LFO(seconds(g[op.delayModLFO]), hertz(g[op.freqModLFO]));
+    this.vibLfo = new LFO(seconds(g[op.delayVibLFO]), hertz(g[op.freqVibLFO]));
+
+    // the filter is left out while it is fully open
+    this.filtered = g[op.initialFilterFc] < 13500 ||
+      g[op.modLfoToFilterFc] !== 0 || g[op.modEnvToFilterFc] !== 0;
+    this.x1 = this.x2 = this.y1 = this.y2 = 0;
+    this.gain = 0;
+    this.released = false;
+    this.sustained = false;
+    this.killed = false;
+    this.done = false;
+  }
+
+  /**
+   * Compute the generator values including modulation,
+   * after a change of the channel controllers.
+   */
+  update() {
+    const g = this.gens.slice();
+    for (let m of this.mods) {
+      const dest = m.sfModDestOper;
+      if (dest < g.length)
+        g[dest] += modulate(m, this.channel, this.noteKey, this.noteVelocity);
+    }
+    g.forEach((v, i) => {
+      if (limits[i])
+        g[i] = Math.max(limits[i][0], Math.min(limits[i][1], v));
+    });
+    this.g = g;
+    let root = g[op.overridingRootKey];
+    if (root < 0)
+      root = this.sample.byOriginalPitch > 127 ? 60 :
+        this.sample.byOriginalPitch;
+    const cents = (this.noteKey - root) * g[op.scaleTuning] +
+          100 * g[op.coarseTune] + g[op.fineTune] +
+          this.sample.chPitchCorrection + g[pitchDest];
+    this.step = this.sample.dwSamplerRate / this.synth.sampleRate *
+      Math.pow(2, cents / 1200);
+    const pan = (g[op.pan] + 500) / 1000 * Math.PI / 2;
+    this.left = Math.cos(pan);
+    this.right = Math.sin(pan);
+  }
+
+  release() {
+    if (this.released)
+      return;
+    this.released = true;
+    this.sustained = false;
+    this.volEnv.release();
+    this.modEnv.release();
+  }
+
+  // Fade out within a single block, e.g. for an exclusive class.
+  kill() {
+    this.killed = true;
+  }
+
+  /**
+   * Add count frames of output to the left and right channel arrays,
+   * starting at index offset.
+   */
+  render(left, right, offset, count) {
+    while (count > 0 && !this.done) {
+      const n = Math.min(blockSize, count);
+      this.block(left, right, offset, n);
+      offset += n;
+      count -= n;
+    }
+  }
+
+  block(left, right, offset, n) {
+    const g = this.g, dt = n / this.synth.sampleRate;
+    const env = this.modEnv.level;
+    const modLfo = this.modLfo.value, vibLfo = this.vibLfo.value;
+    const step = this.step * Math.pow(2, (env * g[op.modEnvToPitch] +
+      modLfo * g[op.modLfoToPitch] + vibLfo * g[op.vibLfoToPitch]) / 1200);
+    let b0 = 1, b1 = 0, b2 = 0, a1 = 0, a2 = 0;
+    if (this.filtered) {
+      // low-pass biquad, with its DC gain lowered as the resonance rises
+      const fc = g[op.initialFilterFc] + env * g[op.modEnvToFilterFc] +
+            modLfo * g[op.modLfoToFilterFc];
+      const f = Math.min(hertz(fc), 0.45 * this.synth.sampleRate);
+      const q = Math.pow(10, (g[op.initialFilterQ] / 10 - 3.01) / 20);
+      const w = 2 * Math.PI * f / this.synth.sampleRate;
+      const cos = Math.cos(w), alpha = Math.sin(w) / (2 * q);
+      const a0 = 1 + alpha, gain = 1 / Math.sqrt(q);
+      b0 = b2 = (1 - cos) / 2 * gain / a0;
+      b1 = (1 - cos) * gain / a0;
+      a1 = -2 * cos / a0;
+      a2 = (1 - alpha) / a0;
+    }
+    this.volEnv.advance(dt);
+    this.modEnv.advance(dt);
+    this.modLfo.advance(dt);
+    this.vibLfo.advance(dt);
+    const gain = this.killed ? 0 : this.volEnv.gain * Math.pow(
+      10, (modLfo * g[op.modLfoToVolume] - g[op.initialAttenuation]) / 200);
+    const g0 = this.gain, dg = (gain - g0) / n;
+    const loop = this.mode === 1 || (this.mode === 3 && !this.released);
+    const loopLength = this.loopEnd - this.loopStart;
+    let x1 = this.x1, x2 = this.x2, y1 = this.y1, y2 = this.y2;
+    for (let i = 0; i < n; ++i) {
+      const pos = Math.floor(this.pos), frac = this.pos - pos;
+      let next = pos + 1;
+      if (loop && next >= this.loopEnd)
+        next = this.loopStart;
+      const a = this.at(pos);
+      let x = a + (this.at(next) - a) * frac;
+      if (this.filtered) {
+        const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+        x2 = x1;
+        x1 = x;
+        y2 = y1;
+        y1 = y;
+        x = y;
+      }
+      x *= g0 + dg * (i + 1);
+      left[offset + i] += x * this.left;
+      right[offset + i] += x * this.right;
+      this.pos += step;
+      if (loop) {
+        while (this.pos >= this.loopEnd)
+          this.pos -= loopLength;
+      } else if (this.pos >= this.end) {
+        this.done = true;
+        break;
+      }
+    }
+    this.x1 = x1;
+    this.x2 = x2;
+    this.y1 = y1;
+    this.y2 = y2;
+    this.gain = gain;
+    if (this.volEnv.done || this.killed)
+      this.done = true;
+  }
+
+  at(i) {
+    if (i >= this.end)
+      return 0;
+    if (this.lo)
+      return (this.hi.readInt16LE(i << 1) * 256 + this.lo[i]) / 8388608;
+    return this.hi.readInt16LE(i << 1) / 32768;
+  }
+
+}
+
+/**
+ * Synthesizer playing the presets of a parsed SF2 file
+ * on 16 MIDI channels, the tenth of which plays drums.
+ * Options are the output sampleRate, the maximum number
+ * of simultaneous voices (polyphony, default 256)
+ * and a warn function for problems which do not stop rendering.
+ */
+class Synth {
+
+  constructor(sf2, options={}) {
+    this.sf2 = sf2;
+    this.sampleRate = option(options, "sampleRate", 44100, 1000, 384000);
+    this.polyphony = option(options, "polyphony", 256, 1, 65536);
+    this.warn = options.warn || (() => {});
+    this.channels = [];
+    for (let i = 0; i < 16; ++i)
+      this.channels.push(new Channel(i === 9));
+    this.voices = [];
+    this.warned = new Set();
+  }
+
+  // sample data, only read when the first note is played
+  get data() {
+    if (this._data)
+      return this._data;
+    const sdta = this.sf2.chunks[0].firstForName("sdta");
+    const smpl = sdta && sdta.firstForName("smpl");
+    const sm24 = sdta && sdta.firstForName("sm24");
+    return this._data = {
+      hi: smpl ? smpl.data : Buffer.alloc(0),
+      lo: sm24 ? sm24.data : null,
+    };
+  }
+
+  preset(bank, program) {
+    return this.sf2.phdr.find(p => p.wBank === bank && p.wPreset === program);
+  }
+
+  // Missing presets are replaced by the one of bank 0
+  // or, on drum channels, the standard kit.
+  channelPreset(ch) {
+    const p = this.preset(ch.bank, ch.program) ||
+          this.preset(ch.drums ? 128 : 0, ch.drums ? 0 : ch.program);
+    if (!p)
+      this.warnOnce(`${ch.bank}:${ch.program}`,
+                    `No preset ${ch.bank}:${ch.program}, notes not played`);
+    return p;
+  }
+
+  warnOnce(key, msg) {
+    if (this.warned.has(key))
+      return;
+    this.warned.add(key);
+    this.warn(msg);
+  }
+
+  noteOn(channel, key, velocity) {
+    if (!velocity)
+      return this.noteOff(channel, key);
+    const ch = this.channels[channel];
+    const p = this.channelPreset(ch);
+    if (!p)
+      return;
+    const voices = [];
+    for (let layer of this.sf2.resolve(p.wBank, p.wPreset, key, velocity)) {
+      const s = layer.sample;
+      if ((s.sfSampleType & 0x8000) || s.dwEnd > this.data.hi.length >> 1) {
+        this.warnOnce(s, `Sample ${s.achSampleName} has no data, not played`);
+        continue;
+      }
+      voices.push(new Voice(this, ch, key, velocity, layer));
+    }
+    for (let v of voices) {
+      const cls = v.gens[op.exclusiveClass];
+      if (cls)
+        for (let other of this.voices)
+          if (other.channel === ch && other.gens[op.exclusiveClass] === cls)
+            other.kill();
+    }
+    for (let v of voices) {
+      if (this.voices.length >= this.polyphony)
+        this.steal();
+      this.voices.push(v);
+    }
+  }
+
+  // Make room for a voice by dropping the least audible one.
+  steal() {
+    let victim = this.voices[0];
+    for (let v of this.voices)
+      if (quieter(v, victim))
+        victim = v;
+    this.voices.splice(this.voices.indexOf(victim), 1);
+  }
+
+  noteOff(channel, key) {
+    const ch = this.channels[channel];
+    for (let v of this.voices) {
+      if (v.channel !== ch || v.key !== key || v.released)
+        continue;
+      if (ch.cc[64] >= 64)
+        v.sustained = true;
+      else
+        v.release();
+    }
+  }
+
+  controller(channel, cc, value) {
+    const ch = this.channels[channel];
+    ch.cc[cc] = value;
+    const voices = this.voices.filter(v => v.channel === ch);
+    switch (cc) {
+      case 6: // data entry
+        if (!ch.nrpn && ch.cc[101] === 0 && ch.cc[100] === 0)
+          ch.pitchWheelSensitivity = value;
+        break;
+      case 64: // sustain pedal
+        if (value < 64)
+          voices.filter(v => v.sustained).forEach(v => v.release());
+        break;
+      case 98: // NRPN
+      case 99:
+        ch.nrpn = true;
+        break;
+      case 100: // RPN
+      case 101:
+        ch.nrpn = false;
+        break;
+      case 120: // all sound off
+        voices.forEach(v => v.kill());
+        break;
+      case 121: // reset all controllers
+        ch.resetControllers();
+        voices.filter(v => v.sustained).forEach(v => v.release());
+        break;
+      case 123: // all notes off
+        voices.forEach(v => ch.cc[64] >= 64 ?
+                       v.sustained = true : v.release());
+        break;
+    }
+    voices.forEach(v => v.update());
+  }
+
+  programChange(channel, program) {
+    const ch = this.channels[channel];
+    ch.program = program;
+    if (!ch.drums)
+      ch.bank = ch.cc[0];
+  }
+
+  pitchBend(channel, value) {
+    const ch = this.channels[channel];
+    ch.pitchWheel = value;
+    this.update(ch);
+  }
+
+  channelPressure(channel, value) {
+    const ch = this.channels[channel];
+    ch.pressure = value;
+    this.update(ch);
+  }
+
+  keyPressure(channel, key, value) {
+    const ch = this.channels[channel];
+    ch.keyPressure[key] = value;
+    this.update(ch);
+  }
+
+  update(ch) {
+    for (let v of this.voices)
+      if (v.channel === ch)
+        v.update();
+  }
+
+  releaseAll() {
+    for (let v of this.voices)
+      v.release();
+  }
+
+  get active() {
+    return this.voices.length;
+  }
+
+  /**
+   * Mix count frames of all voices into the left and right arrays,
+   * starting at index offset.
+   */
+  render(left, right, offset=0, count=left.length - offset) {
+    for (let v of this.voices)
+      v.render(left, right, offset, count);
+    this.voices = this.voices.filter(v => !v.done);
+  }
+
+}
+
+function quieter(a, b) {
+  if (a.killed !== b.killed)
+    return a.killed;
+  if (a.released !== b.released)
+    return a.released;
+  return a.gain < b.gain;
+}
+
+function option(options, name, def, min, max) {
+  const v = options[name] === undefined ? def : +options[name];
+  if (!(v >= min && v <= max))
+    throw Error(`Invalid ${name}: ${options[name]}`);
+  return v;
+}
+
+/**
+ * Collects the output of a synthesizer in consecutive blocks.
+ */
+class Recorder {
+
+  constructor(synth) {
+    this.synth = synth;
+    this.blocks = [];
+    this.frames = 0;
+  }
+
+  render(frames) {
+    if (frames <= 0)
+      return;
+    const left = new Float32Array(frames), right = new Float32Array(frames);
+    this.synth.render(left, right);
+    this.blocks.push([left, right]);
+    this.frames += frames;
+  }
+
+  // Render until all voices have ended, for at most the given seconds.
+  finish(seconds) {
+    const chunk = blockSize * 64;
+    for (let rest = Math.round(seconds * this.synth.sampleRate);
+         rest > 0 && this.synth.active; rest -= chunk)
+      this.render(Math.min(chunk, rest));
+  }
+
+  get audio() {
+    return {
+      sampleRate: this.synth.sampleRate,
+      channels: [0, 1].map(c => concat(this.blocks, c)),
+    };
+  }
+
+}
+
+function concat(blocks, channel) {
+  const res = new Float32Array(
+    blocks.reduce((n, b) => n + b[channel].length, 0));
+  let pos = 0;
+  for (let b of blocks) {
+    res.set(b[channel], pos);
+    pos += b[channel].length;
+  }
+  return res;
+}
+
+/**
+ * Render a single note of a preset of the parsed SF2 file sf2.
+ * Options are bank, program, key, velocity, the duration in seconds
+ * for which the key is held, the maximum length of the release tail
+ * in seconds (default 10), sampleRate and warn.
+ * Returns the sampleRate and the left and right channels
+ * as Float32Arrays, with full scale at 1.
+ */
+function renderNote(sf2, options={}) {
+  const key = option(options, "key", 60, 0, 127);
+  const velocity = option(options, "velocity", 100, 1, 127);
+  const duration = option(options, "duration", 1, 0, 3600);
+  const tail = option(options, "tail", 10, 0, 3600);
+  const bank = option(options, "bank", 0, 0, 128);
+  const program = option(options, "program", 0, 0, 127);
+  const synth = new Synth(sf2, options);
+  if (!synth.preset(bank, program))
+    throw Error(`No preset ${bank}:${program}`);
+  const ch = synth.channels[0];
+  ch.bank = bank;
+  ch.program = program;
+  const rec = new Recorder(synth);
+  synth.noteOn(0, key, velocity);
+  rec.render(Math.round(duration * synth.sampleRate));
+  synth.noteOff(0, key);
+  rec.finish(tail);
+  return rec.audio;
+}
+
+/**
+ * Encode rendered audio as a PCM WAV file with 16 or 24 bits
+ * per sample. Values beyond full scale are clipped.
+ */
+function toWav(audio, bits=16) {
+  if (bits !== 16 && bits !== 24)
+    throw Error("Unsupported bits per sample: " + bits);
+  const channels = audio.channels, bytes = bits / 8;
+  const frames = channels[0].length;
+  const datalen = frames * channels.length * bytes;
+  const buf = Buffer.alloc(44 + datalen + (datalen & 1));
+  buf.write("RIFF", 0);
+  buf.writeUInt32LE(buf.length - 8, 4);
+  buf.write("WAVE", 8);
+  buf.write("fmt ", 12);
+  buf.writeUInt32LE(16, 16);
+  buf.writeUInt16LE(1, 20); // formatTag: PCM
+  buf.writeUInt16LE(channels.length, 22);
+  buf.writeUInt32LE(audio.sampleRate, 24);
+  buf.writeUInt32LE(audio.sampleRate * channels.length * bytes, 28);
+  buf.writeUInt16LE(channels.length * bytes, 32);
+  buf.writeUInt16LE(bits, 34);
+  buf.write("data", 36);
+  buf.writeUInt32LE(datalen, 40);
+  const max = bits === 16 ? 32767 : 8388607;
+  let pos = 44;
+  for (let i = 0; i < frames; ++i) {
+    for (let c of channels) {
+      const v = Math.max(-max - 1, Math.min(max, Math.round(c[i] * (max + 1))));
+      buf.writeIntLE(v, pos, bytes);
+      pos += bytes;
+    }
+  }
+  return buf;
+}
+
+module.exports.Channel = Channel;
+module.exports.Recorder = Recorder;
+module.exports.Synth = Synth;
+module.exports.Voice = Voice;
+module.exports.renderNote = renderNote;
+module.exports.toWav = toWav;
@@ -0,0 +1,263 @@
+"use strict";
+
+const SF2 = require("./SF2");
+
+const sampleTypes = {
+  1: "mono",
+  2: "right",
+  4: "left",
+  8: "linked",
+};
+
+/**
+ * Check a parsed SF2 file against the rules of the SoundFont specification.
+ * Issues are reported with a path mirroring the YAML representation,
+ * e.g. `phdr[3] "Piano": zones[1].gens.keyRange`.
+ * If the yaml option provides the file names used in a YAML directory,
+ * as {presets, instruments, samples}, these are used in paths instead,
+ * e.g. `presets/Piano.yml: zones[0].gens.keyRange`.
+ */
+class Validator {
+
+  constructor(sf2, options={}) {
+    this.sf2 = sf2;
+    this.yaml = options.yaml || null;
+    this.issues = [];
+  }
+
+  error(path, message) {
+    this.issues.push(new Issue("error", path, message));
+  }
+
+  warning(path, message) {
+    this.issues.push(new Issue("warning", path, message));
+  }
+
+  run() {
+    let phdr, inst, shdr;
+    try {
+      phdr = this.headers("phdr", this.sf2.pbag, "wPresetBagNdx");
+      inst = this.headers("inst", this.sf2.ibag, "wInstBagNdx");
+      shdr = this.sf2.shdr;
+    } catch (e) {
+      this.error("pdta", e.message);
+      return this.issues;
+    }
+    for (let p of phdr)
+      this.zones(this.label("phdr", p), p.zones,
+                 "instrument", inst.length, true);
+    for (let i of inst)
+      this.zones(this.label("inst", i), i.zones,
+                 "sampleID", shdr.length, false);
+    this.samples(shdr);
+    return this.issues;
+  }
+
+  headers(name, bags, ndx) {
+    const chunk = this.sf2.pdta.firstForName(name);
+    if (!chunk)
+      throw Error("Missing " + name + " chunk");
+    const res = SF2.RecordLayout[name].parse(chunk);
+    for (let i = 1; i < res.length; ++i) {
+      const cur = res[i - 1], next = res[i];
+      if (next[ndx] < cur[ndx])
+        this.error(this.label(name, cur), `${ndx} is not monotonic`);
+      cur.zones = bags.slice(cur[ndx], next[ndx]);
+    }
+    if (res[res.length - 1][ndx] !== bags.length)
+      this.error(name, "terminal record does not point to the end of bags");
+    res.pop();
+    return res;
+  }
+
+  label(name, rec) {
+    const yamlDir = {phdr: "presets", inst: "instruments", shdr: "samples"};
+    const files = this.yaml && this.yaml[yamlDir[name]];
+    if (files && files[rec.id] !== undefined)
+      return `${yamlDir[name]}/${files[rec.id]}.yml`;
+    const nameKey = SF2.RecordLayout[name].names[0];
+    return `${name}[${rec.id}] ${JSON.stringify(rec[nameKey])}`;
+  }
+
+  zones(path, zones, target, count, preset) {
+    if (!zones.length) {
+      this.warning(path, "has no zones");
+      return;
+    }
+    // the YAML representation separates the global zone of presets only
+    const separate = preset && !!this.yaml;
+    const global = zones[0].gens.every(g => g.name !== target);
+    zones.forEach((z, j) => {
+      let zpath;
+      if (j === 0 && global)
+        zpath = separate ? "global" : "zones[0]";
+      else
+        zpath = `zones[${separate && global ? j - 1 : j}]`;
+      this.zone(path + ": " + zpath, z, j, target, count, preset);
+    });
+  }
+
+  zone(path, z, j, target, count, preset) {
+    const gens = z.gens;
+    const seen = new Set();
+    let hasTarget = false;
+    gens.forEach((g, k) => {
+      const name = g.name;
+      const gpath = path + ".gens." + name;
+      if (seen.has(name))
+        this.warning(gpath, "generator occurs more than once in zone");
+      seen.add(name);
+      if (g.sfGenOper >= 60 || /^(unused|reserved)/.test(name)) {
+        this.warning(gpath, "unused generator " + g.sfGenOper);
+        return;
+      }
+      if (name === "keyRange" && k !== 0)
+        this.error(gpath, "keyRange must be the first generator");
+      if (name === "velRange" &&
+          !(k === 0 || (k === 1 && gens[0].name === "keyRange")))
+        this.error(gpath, "velRange must only be preceded by keyRange");
+      if (g.kind === "range") {
+        const r = g.value;
+        if (r.byLo < 0 || r.byHi > 127 || r.byLo > r.byHi)
+          this.error(gpath, "invalid range " + r);
+      }
+      if (name === "instrument" || name === "sampleID") {
+        if (name !== target) {
+          this.error(gpath, `${name} not allowed in ` +
+                     (preset ? "preset" : "instrument") + " zones");
+          return;
+        }
+        hasTarget = true;
+        if (k !== gens.length - 1)
+          this.error(gpath, name + " must be the last generator");
+        if (g.value >= count)
+          this.error(gpath, `${name} ${g.value} does not exist`);
+        return;
+      }
+      if (preset) {
+        if (g.kind === "sample" || g.kind === "substitution")
+          this.error(gpath, "generator not allowed in preset zones");
+        return;
+      }
+      const limits = SF2.Generator.limits[name];
+      if (limits && (g.value < limits[0] || g.value > limits[1]))
+        this.warning(gpath, `value ${g.value} outside valid range ` +
+                     `${limits[0]} to ${limits[1]}`);
+      if (name === "sampleModes" && g.value === 2)
+        this.warning(gpath, "sampleModes 2 is reserved");
+    });
+    if (!hasTarget && j !== 0)
+      this.error(path, `zone without ${target} is only allowed ` +
+                 "as the first (global) zone");
+    z.mods.forEach((m, k) => {
+      if ((m.sfModDestOper & 0x8000) &&
+          (m.sfModDestOper & 0x7fff) >= z.mods.length)
+        this.error(`${path}.mods[${k}]`,
+                   "destination links to a nonexistent modulator");
+    });
+  }
+
+  samples(shdr) {
+    const sdta = this.sf2.chunks[0].firstForName("sdta");
+    const smpl = sdta && sdta.firstForName("smpl");
+    const total = smpl ? smpl.length >> 1 : 0;
+    const info = this.sf2.chunks[0].firstForName("INFO");
+    const hasRom = info && info.firstForName("irom");
+    const ram = [];
+    shdr.forEach((s, i) => {
+      const path = this.label("shdr", s);
+      const type = s.sfSampleType & 0x7fff;
+      if (!sampleTypes[type]) {
+        this.error(path + ": sfSampleType",
+                   "invalid sample type " + s.sfSampleType);
+      } else if (type !== 1) {
+        const other = shdr[s.wSampleLink];
+        if (!other)
+          this.error(path + ": wSampleLink",
+                     `linked sample ${s.wSampleLink} does not exist`);
+        else if (type !== 8 && (other.wSampleLink !== i ||
+                                (other.sfSampleType & 0x7fff) !== 6 - type))
+          this.error(path + ": wSampleLink", `${sampleTypes[type]} sample ` +
+                     "not linked reciprocally to a " +
+                     `${sampleTypes[6 - type]} sample`);
+      }
+      if (s.dwSamplerRate === 0)
+        this.error(path + ": dwSamplerRate", "sample rate is zero");
+      else if (s.dwSamplerRate < 400 || s.dwSamplerRate > 50000)
+        this.warning(path + ": dwSamplerRate",
+                     `unusual sample rate ${s.dwSamplerRate}`);
+      if (s.byOriginalPitch > 127 && s.byOriginalPitch !== 255)
+        this.warning(path + ": byOriginalPitch",
+                     `invalid pitch ${s.byOriginalPitch}`);
+      if (s.sfSampleType & 0x8000) {
+        if (!hasRom)
+          this.warning(path, "ROM sample without irom in INFO");
+        return;
+      }
+      if (s.dwEnd <= s.dwStart)
+        this.error(path + ": dwEnd", "sample is empty");
+      else if (s.dwEnd > total)
+        this.error(path + ": dwEnd", "sample extends beyond sample data");
+      else
+        ram.push(s);
+      this.loop(path, s);
+    });
+    ram.sort((a, b) => a.dwStart - b.dwStart || a.dwEnd - b.dwEnd);
+    for (let i = 0; i < ram.length; ++i) {
+      const s = ram[i];
+      if (i + 1 < ram.length && ram[i + 1].dwStart === s.dwStart &&
+          ram[i + 1].dwEnd === s.dwEnd)
+        continue; // shared sample data
+      const next = i + 1 < ram.length ? ram[i + 1].dwStart : total;
+      const path = this.label("shdr", s) + ": dwEnd";
+      if (next < s.dwEnd)
+        this.error(path, "sample overlaps " + (i + 1 < ram.length ?
+          this.label("shdr", ram[i + 1]) : "end of sample data"));
+      else if (next - s.dwEnd < 46)
+        this.warning(path, `only ${next - s.dwEnd} sample points ` +
+                     "after end of sample, 46 required");
+    }
+  }
+
+  loop(path, s) {
+    if (s.dwStartloop === s.dwEndloop)
+      return; // no loop
+    if (s.dwStartloop < s.dwStart || s.dwStartloop >= s.dwEndloop ||
+        s.dwEndloop > s.dwEnd) {
+      this.error(path + ": dwStartloop",
+                 "loop points outside of sample bounds");
+      return;
+    }
+    if (s.dwStartloop - s.dwStart < 8)
+      this.warning(path + ": dwStartloop",
+                   "less than 8 sample points before loop start");
+    if (s.dwEndloop - s.dwStartloop < 32)
+      this.warning(path + ": dwEndloop", "loop shorter than 32 sample points");
+    if (s.dwEnd - s.dwEndloop < 8)
+      this.warning(path + ": dwEndloop",
+                   "less than 8 sample points after loop end");
+  }
+
+}
+
+class Issue {
+
+  constructor(severity, path, message) {
+    this.severity = severity;
+    this.path = path;
+    this.message = message;
+  }
+
+  toString() {
+    return `${this.severity}: ${this.path}: ${this.message}`;
+  }
+
+}
+
+function validate(sf2, options) {
+  return new Validator(sf2, options).run();
+}
+
+module.exports.Issue = Issue;
+module.exports.Validator = Validator;
+module.exports.validate = validate;
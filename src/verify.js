@@ -0,0 +1,119 @@
+"use strict";
+
+const SF2 = require("./SF2");
+
+/**
+ * Compare two SF2 files and describe the first difference,
+ * in terms of the chunk and, for records from the pdta list,
+ * the record and field in which it occurs.
+ * Returns null if both buffers are identical.
+ */
+function compare(expected, actual) {
+  if (expected.equals(actual))
+    return null;
+  let a, b;
+  try {
+    a = new SF2.RIFF(expected);
+    b = new SF2.RIFF(actual);
+  } catch (e) {
+    return bytes("", expected, actual);
+  }
+  return compareLists("", a, b) ||
+    bytes("", expected, actual);
+}
+
+function compareLists(path, a, b) {
+  const n = Math.min(a.chunks.length, b.chunks.length);
+  for (let i = 0; i < n; ++i) {
+    const ca = a.chunks[i], cb = b.chunks[i];
+    const sub = path + (path ? "/" : "") + ca.id;
+    if (ca.id !== cb.id || !!ca.chunks !== !!cb.chunks) {
+      return difference({
+        chunk: sub,
+        message: `expected chunk ${ca.id}, got ${cb.id}`,
+      });
+    }
+    const res = ca.chunks ?
+          compareLists(sub, ca, cb) : compareChunk(sub, ca, cb);
+    if (res)
+      return res;
+  }
+  if (a.chunks.length !== b.chunks.length) {
+    const extra = a.chunks.length > n ? a.chunks[n] : b.chunks[n];
+    return difference({
+      chunk: path + (path ? "/" : "") + extra.id,
+      message: a.chunks.length > n ?
+        "chunk missing from output" : "unexpected chunk in output",
+    });
+  }
+  return null;
+}
+
+function compareChunk(path, a, b) {
+  if (a.data.equals(b.data))
+    return null;
+  const layout = SF2.RecordLayout.hasOwnProperty(a.id) ?
+        SF2.RecordLayout[a.id] : null;
+  const pos = firstDifference(a.data, b.data);
+  if (!layout || pos >= a.data.length || pos >= b.data.length) {
+    const res = bytes(path, a.data, b.data);
+    if (a.data.length !== b.data.length)
+      res.message += ` (length ${a.data.length} vs. ${b.data.length})`;
+    return res;
+  }
+  const record = Math.floor(pos / layout.len);
+  let offset = record * layout.len;
+  for (let part of layout.parts) {
+    if (pos < offset + part.len) {
+      const ea = fieldValue(part.dec(a.data, offset));
+      const eb = fieldValue(part.dec(b.data, offset));
+      return difference({
+        chunk: path,
+        record,
+        field: part.name,
+        offset: pos,
+        expected: ea,
+        actual: eb,
+        message: `expected ${JSON.stringify(ea)}, got ${JSON.stringify(eb)}`,
+      });
+    }
+    offset += part.len;
+  }
+}
+
+function fieldValue(v) {
+  if (v !== null && typeof v === "object")
+    return v.shAmount;
+  return v;
+}
+
+function firstDifference(a, b) {
+  const n = Math.min(a.length, b.length);
+  for (let i = 0; i < n; ++i)
+    if (a[i] !== b[i])
+      return i;
+  return n;
+}
+
+function bytes(path, a, b) {
+  const pos = firstDifference(a, b);
+  const hex = (buf) => pos < buf.length ?
+        "0x" + ("0" + buf[pos].toString(16)).slice(-2) : "end of data";
+  return difference({
+    chunk: path,
+    offset: pos,
+    expected: pos < a.length ? a[pos] : null,
+    actual: pos < b.length ? b[pos] : null,
+    message: `at byte ${pos}: expected ${hex(a)}, got ${hex(b)}`,
+  });
+}
+
+function difference(d) {
+  let where = d.chunk || "file";
+  if (d.record !== undefined)
+    where += `[${d.record}].${d.field}`;
+  d.message = where + ": " + d.message;
+  return d;
+}
+
+module.exports.compare = compare;
@@ -6,9 +6,27 @@ const path = require("path");
 const yaml = require("js-yaml");
 
 const SF2 = require("./SF2");
+const encoding = require("./encoding");
+const flac = require("./flac");
 const defaults = yaml.safeLoad(
   fs.readFileSync(require.resolve("./defaults.yaml")));
 
+// maximum number of files read at the same time
+const maxReads = 12;
+
+/**
+ * Part of the output which is only produced when it gets written,
+ * as a sequence of buffers passed to a callback.
+ */
+class LazyPart {
+
+  constructor(length, produce) {
+    this.length = length;
+    this.produce = produce;
+  }
+
+}
+
 function keyval(itm) {
   const ks = Object.keys(itm);
   if (ks.length !== 1)
@@ -20,14 +38,40 @@ function keyval(itm) {
 
 class YamlParse {
 
-  constructor(dir) {
+  constructor(dir, options={}) {
     this.dir = dir;
+    this.files = options.files || null;
+    this.warn = options.warn || (msg => console.warn("Warning: " + msg));
+    this.reading = 0;
+    this.readQueue = [];
   }
 
   readFile(name) {
-    return new Promise((resolve, reject) =>
-      fs.readFile(path.join(this.dir, name), (err, buf) =>
-        err ? reject(err) : resolve(buf)))
+    if (this.files) {
+      // in-memory representation, as collected by YamlGen in verify mode
+      if (this.files.hasOwnProperty(name))
+        return Promise.resolve(Buffer.from(this.files[name]));
+      const err = Error("No such file: " + name);
+      err.code = "ENOENT";
+      return Promise.reject(err);
+    }
+    return new Promise((resolve, reject) => {
+      this.readQueue.push({name, resolve, reject});
+      this.flushReads();
+    });
+  }
+
+  flushReads() {
+    while (this.reading < maxReads && this.readQueue.length) {
+      const q = this.readQueue.shift();
+      this.reading++;
+      fs.readFile(path.join(this.dir, q.name), (err, buf) => {
+        this.reading--;
+        this.flushReads();
+        if (err) q.reject(err);
+        else q.resolve(buf);
+      });
+    }
   }
 
   readYaml(name) {
@@ -43,12 +87,52 @@ class YamlParse {
     );
   }
 
+  /**
+   * Resolve to a buffer containing the compiled SF2 file.
+   */
   compile() {
+    const bufs = [];
+    return this.parts()
+      .then(parts => writeParts(parts, buf => { bufs.push(buf); }))
+      .then(() => Buffer.concat(bufs));
+  }
+
+  /**
+   * Write the compiled SF2 file incrementally,
+   * reading the sample data of one sample at a time.
+   * The file is removed again if compilation fails.
+   */
+  compileTo(file) {
+    return this.parts().then(parts => {
+      const out = fs.createWriteStream(file);
+      const done = new Promise((resolve, reject) => {
+        out.on("finish", resolve);
+        out.on("error", reject);
+      });
+      const write = buf => out.write(buf) ? null :
+            new Promise((resolve, reject) => {
+              out.once("drain", resolve);
+              done.catch(reject);
+            });
+      done.catch(() => {}); // reported by write or at the end
+      return writeParts(parts, write).then(() => {
+        out.end();
+        return done;
+      }).catch(err => {
+        out.destroy();
+        return new Promise(resolve => fs.unlink(file, resolve))
+          .then(() => { throw err; });
+      });
+    });
+  }
+
+  parts() {
     this.terminators = this.readYaml("term", defaults.term);
+    this.encoding = this.readYaml("encoding");
     this.samples = new Map();
+    this.audio = null;
     return this.readYaml("RIFF", defaults.RIFF)
-      .then(data => this.riffDispatch("RIFF", data))
-      .then(parts => Buffer.concat(parts));
+      .then(data => this.riffDispatch("RIFF", data));
   }
 
   sample(name) {
@@ -93,18 +177,23 @@ class YamlParse {
   }
 
   riff_INFO(keys) {
-    return this.readYaml("INFO").then(info => {
+    return Promise.all([
+      this.readYaml("INFO"),
+      this.encoding,
+    ]).then(([info, enc]) => {
       const res = [];
       for (let k of keys) {
         if (!info.hasOwnProperty(k))
           continue;
         let v;
-        if (k === "ifil") {
+        if (k === "ifil" || k === "iver") {
           v = Buffer.alloc(4);
-          v.writeUInt16LE(info.ifil.wMajor, 0);
-          v.writeUInt16LE(info.ifil.wMinor, 2);
+          v.writeUInt16LE(info[k].wMajor, 0);
+          v.writeUInt16LE(info[k].wMinor, 2);
+        } else if (info[k] !== null && info[k].hasOwnProperty("hex")) {
+          v = Buffer.from(info[k].hex, "hex");
         } else {
-          v = String(info[k]);
+          v = encoding.encode(info[k], enc);
           v += "\0".repeat(2 - (v.length & 1));
         }
         res.push(this.riffChunk(k, v));
@@ -113,110 +202,180 @@ class YamlParse {
     });
   }
 
-  riff_sdta() {
+  riff_sdta(keys) {
+    return this.sampleData().then(lst => this.sdta(lst, keys));
+  }
+
+  // Layout of the sample data, derived from the metadata only.
+  sampleData() {
     return this._sdta || (this._sdta = this.readYaml("sdta").then(
       names => Promise.all(names.map(name => {
         if (typeof name === "string")
-          return this.readWav(name)
+          return this.sample(name).then(meta => ({name, meta}));
         else
           return Promise.resolve(name)
-      })).then(samples => this.sdta(samples))));
+      })).then(samples => this.layout(samples))));
   }
 
-  readWav(name) {
-    return Promise.all([
-      this.sample(name),
-      this.readFile("wav/" + name + ".wav")
-    ]).then(([meta, buf]) => {
-      const wav = new SF2.RIFF(buf);
-      const wave = wav.firstForName("WAVE");
-      const fmt = wave.firstForName("fmt").data;
-      const data = wave.firstForName("data").data;
-      const formatTag = fmt.readUInt16LE(0);
-      const channels = fmt.readUInt16LE(2);
-      const sampleRate = fmt.readUInt32LE(4);
-      const dataRate = fmt.readUInt32LE(8);
-      const blockAlign = fmt.readUInt16LE(12);
-      const bitsPerSample = fmt.readUInt16LE(14);
-      const bytesPerSample = bitsPerSample >>> 3;
-      if (formatTag !== 1 && formatTag !== 65534)
-        throw Error("Only PCM and EXTENSIBLE is supported");
-      if (channels !== 1) throw Error("Only mono samples allowed");
-      if (bitsPerSample & 7) throw Error("We only deal in whole mytes");
-      if (blockAlign !== channels * bytesPerSample)
-        throw Error("Unexpected block alignment");
-      if (dataRate !== sampleRate * blockAlign)
-        throw Error("Unexpected data rate");
-      if (bitsPerSample !== 16 && bitsPerSample !== 24)
-        throw Error("Only 16 and 24 bit per sample allowed");
-      if (bitsPerSample === 24) throw Error("24bit samples not supported yet");
-      if (meta.sdta.length * blockAlign !== data.length)
-        throw Error("Sample length does not match recorded metadata");
-      if (formatTag === 65534) {
-        const guid = fmt.toString("hex", 24, 24 + 16);
-        // should be WMMEDIASUBTYPE_PCM, 00000001-0000-0010-8000-00AA00389B71
-        if (guid !== "0100000000001000800000aa00389b71")
-          throw Error("Only PCM subtype is supported, not " + guid);
-      }
-      if (bitsPerSample === 16) {
-        const h = crypto.createHash("sha1");
-        h.update(data);
-        const d = h.digest("hex");
-        if (d !== meta.sdta.smpl)
-          throw Error("Sample data does not match recorded checksum");
-      }
-      return {
+  readSampleData(name) {
+    return this.sample(name).then(meta =>
+      this.readAudio(name).then(audio => {
+        if (audio)
+          return this.channel(name, meta, audio);
+        if (typeof meta.wSampleLink !== "string")
+          throw Error("Found neither wav nor flac file for " + name);
+        // stereo pair stored in file named after the other sample
+        return this.readAudio(meta.wSampleLink).then(audio => {
+          if (!audio || audio.channels.length !== 2)
+            throw Error("Found neither wav nor flac file for " + name);
+          return this.channel(name, meta, audio);
+        });
+      }).then(data => this.checkSample(name, {
         meta,
-        wav: { data },
-      };
-    });
+        smpl: data.smpl,
+        sm24: data.sm24,
+      })));
+  }
+
+  readAudio(name) {
+    // only the most recent file is kept, for the other half of stereo pairs
+    if (this.audio && this.audio.name === name)
+      return Promise.resolve(this.audio.data);
+    return this.readFile("wav/" + name + ".wav").then(
+      buf => decodeWav(buf),
+      err => {
+        if (err.code !== "ENOENT") throw err;
+        return this.readFile("flac/" + name + ".flac").then(
+          buf => this.decodeFlac(buf),
+          err => {
+            if (err.code !== "ENOENT") throw err;
+            return null;
+          });
+      }).then(data => {
+        if (data)
+          this.audio = {name, data};
+        return data;
+      });
   }
 
-  sdta(lst) {
-    if (lst.every(s => !s.meta.sdta || s.meta.sdta.sm24))
-      return this.sdta24(lst);
-    else
-      return this.sdta16(lst);
+  channel(name, meta, audio) {
+    let c = 0;
+    if (audio.channels.length === 2) {
+      if (meta.sfSampleType === 4)
+        c = 0;
+      else if (meta.sfSampleType === 2)
+        c = 1;
+      else
+        throw Error("Stereo file for sample which is neither left nor right: " +
+                    name);
+    } else if (audio.channels.length !== 1) {
+      throw Error("Only mono or stereo samples allowed");
+    }
+    const data = audio.channels[c];
+    if (data.smpl.length !== 2*meta.sdta.length)
+      throw Error("Sample length does not match recorded metadata: " + name);
+    return data;
   }
 
-  sdta16(lst) {
+  decodeFlac(buf) {
+    const audio = flac.decode(buf);
+    if (audio.bitsPerSample !== 16 && audio.bitsPerSample !== 24)
+      throw Error("Only 16 and 24 bit per sample allowed");
+    return {channels: audio.channels.map(pcm => {
+      const smpl = Buffer.alloc(2*pcm.length);
+      let sm24 = null;
+      if (audio.bitsPerSample === 24) {
+        sm24 = Buffer.alloc(pcm.length);
+        for (let i = 0; i < pcm.length; ++i) {
+          smpl.writeInt16LE(pcm[i] >> 8, 2*i);
+          sm24[i] = pcm[i] & 0xff;
+        }
+      } else {
+        for (let i = 0; i < pcm.length; ++i)
+          smpl.writeInt16LE(pcm[i], 2*i);
+      }
+      return {smpl, sm24};
+    })};
+  }
+
+  checkSample(name, s) {
+    const meta = s.meta;
+    if (sha1(s.smpl) !== meta.sdta.smpl)
+      throw Error("Sample data does not match recorded checksum: " + name);
+    if (meta.sdta.sm24) {
+      if (!s.sm24) s.sm24 = Buffer.alloc(meta.sdta.length);
+      if (sha1(s.sm24) !== meta.sdta.sm24)
+        throw Error("Sample data does not match recorded sm24 checksum: " +
+                    name);
+    } else if (s.sm24) {
+      if (s.sm24.some(b => b !== 0))
+        throw Error("Sample has 24 bit data but no sm24 checksum: " + name);
+      s.sm24 = null;
+    }
+    return s;
+  }
+
+  layout(lst) {
     let gaplen = 32;
-    let zeros = Buffer.alloc(2*32);
-    let gap = zeros;
-    const samples = [];
     let len = 0;
+    let prev = null;
+    const samples = [];
     for (let s of lst) {
       if (s.hasOwnProperty("gap")) {
+        if (!prev)
+          throw Error("Gap description before first sample");
+        if (prev.gaplen !== gaplen)
+          throw Error("Multiple gap descriptions between samples");
         len += s.gap - gaplen;
-        gaplen = s.gap;
-        if (zeros.length < 2*gaplen) {
-          zeros = gap = Buffer.alloc(2*gaplen);
-        } else {
-          gap = zeros.slice(0, 2*gaplen);
-        }
-        samples.pop();
-        samples.push(gap);
+        prev.gaplen = gaplen = s.gap;
         continue;
       }
       s.meta.pos = len;
-      samples.push(s.wav.data, gap);
-      if (s.wav.data.length !== 2*s.meta.sdta.length)
-        throw Error("Length mismatch");
+      s.gaplen = gaplen;
       len += s.meta.sdta.length + gaplen;
+      samples.push(prev = s);
     }
-    len *= 2;
-    const head = Buffer.alloc(20);
-    head.write("LIST", 0, "ascii");
-    head.writeUInt32LE(len + 12, 4);
-    head.write("sdta", 8, "ascii");
-    head.write("smpl", 12, "ascii");
-    head.writeUInt32LE(len, 16);
-    samples.unshift(head);
+    samples.points = len;
     return samples;
   }
 
-  sdta24(lst) {
-    throw Error("Writing of the sm24 chunk isn't supported yet.");
+  sdta(lst, keys) {
+    const has24 = lst.every(s => s.meta.sdta.sm24);
+    if (!keys)
+      keys = has24 ? ["smpl", "sm24"] : ["smpl"];
+    return this.riffList("LIST", "sdta", keys.map(id => {
+      if (id === "smpl")
+        return this.sdtaChunk(id, lst, 2);
+      if (id !== "sm24")
+        throw Error("Unsupported chunk in sdta list: " + id);
+      if (!has24)
+        throw Error("Writing sm24 requires 24 bit data for all samples");
+      return this.sdtaChunk(id, lst, 1);
+    }));
+  }
+
+  // Each of smpl and sm24 reads the sample files anew,
+  // so that only one decoded sample is kept in memory at a time.
+  sdtaChunk(id, lst, width) {
+    const len = lst.points * width;
+    const head = Buffer.alloc(8);
+    head.write(id, 0, "ascii");
+    head.writeUInt32LE(len, 4);
+    const data = new LazyPart(len + (len & 1), write => {
+      let zeros = Buffer.alloc(0);
+      return lst.reduce((prev, s) => prev.then(
+        () => this.readSampleData(s.name)
+      ).then(data => {
+        if (zeros.length < width*s.gaplen)
+          zeros = Buffer.alloc(width*s.gaplen);
+        return Promise.resolve(write(data[id]))
+          .then(() => write(zeros.slice(0, width*s.gaplen)));
+      }), Promise.resolve()).then(() => {
+        if (len & 1)
+          return write(Buffer.alloc(1));
+      });
+    });
+    return [head, data];
   }
 
   riff_phdr() {
@@ -274,8 +433,13 @@ class YamlParse {
           dict.set(name, i);
           return this.readYaml(dir + "/" + name);
         })),
-      ])).then(([term, lst]) => {
-        let hdr = lst.slice();
+        this.encoding,
+      ])).then(([term, lst, enc]) => {
+        // first field of the header record is its name
+        const nameKey = SF2.RecordLayout[hdrName].names[0];
+        let hdr = lst.map(i => Object.assign({}, i, {
+          [nameKey]: this.encodeName(i[nameKey], enc),
+        }));
         let bag = [];
         let mod = [];
         let gen = [];
@@ -288,7 +452,9 @@ class YamlParse {
         }
         hdr.push(Object.assign({
           ["w" + ndx1 + "BagNdx"]: bag.length,
-        }, term[hdrName]));
+        }, term[hdrName], {
+          [nameKey]: this.encodeName(term[hdrName][nameKey], enc),
+        }));
         for (let i of bag) {
           i["w" + ndx2 + "GenNdx"] = gen.length;
           i["w" + ndx2 + "ModNdx"] = mod.length;
@@ -297,7 +463,7 @@ class YamlParse {
               gen.push(g);
           if (i.mods)
             for (let m of i.mods)
-              mod.push(m);
+              mod.push(SF2.Modulator.numeric(m));
         }
         bag.push({
           ["w" + ndx2 + "GenNdx"]: gen.length,
@@ -329,9 +495,13 @@ class YamlParse {
               }
             });
           } else {
+            if (letter === "p" && typeof v === "string" &&
+                SF2.Generator.units[k])
+              throw Error(`Preset generator ${k} must be given as an ` +
+                          `integer offset, not ${v}`);
             return Promise.resolve({
               sfGenOper: op,
-              genAmount: v,
+              genAmount: SF2.Generator.fromPhysical(k, v),
             });
           }
         }));
@@ -356,6 +526,10 @@ class YamlParse {
       });
   }
 
+  encodeName(value, enc) {
+    return encoding.encodeFixed(value, enc, 20, this.warn);
+  }
+
   samples1() {
     return this._smpls || (this._smpls = this.samples2());
   }
@@ -369,16 +543,26 @@ class YamlParse {
           dict.set(name, i);
           return this.sample(name);
         })),
-        this.riff_sdta(),
-      ])).then(([term, lst]) => {
-        lst = lst.map(s => Object.assign({}, s, {
-          dwStart: s.pos,
-          dwEnd: s.pos + s.dwEnd,
-          dwStartloop: s.pos + s.dwStartloop,
-          dwEndloop: s.pos + s.dwEndloop,
-          wSampleLink: typeof s.wSampleLink === "string" ?
-            dict.get(s.wSampleLink) : s.wSampleLink,
-        })).concat(term.shdr);
+        this.sampleData(),
+        this.encoding,
+      ])).then(([term, lst, sdta, enc]) => {
+        lst = lst.concat(term.shdr).map(s => {
+          const res = Object.assign({}, s, {
+            achSampleName: this.encodeName(s.achSampleName, enc),
+            wSampleLink: typeof s.wSampleLink === "string" ?
+              dict.get(s.wSampleLink) : s.wSampleLink,
+          });
+          if (s !== term.shdr && !(s.sfSampleType & 0x8000)) {
+            // RAM sample, positions relative to its data in the sdta chunk
+            if (s.pos === undefined)
+              throw Error("Sample not listed in sdta: " + s.achSampleName);
+            res.dwStart = s.pos;
+            res.dwEnd = s.pos + s.dwEnd;
+            res.dwStartloop = s.pos + s.dwStartloop;
+            res.dwEndloop = s.pos + s.dwEndloop;
+          }
+          return res;
+        });
         return {
           shdr: SF2.RecordLayout.shdr.write("shdr", lst),
           dict: dict,
@@ -388,15 +572,103 @@ class YamlParse {
 
 }
 
-function writeFile(name, data) {
-  return new Promise((resolve, reject) => fs.writeFile(
-    name, data, err => err ? reject(err) : resolve()));
+/**
+ * Decode a WAV file with 16 or 24 bit PCM data.
+ * Returns the sampleRate and the channels, each with the 16 bit data
+ * in smpl and the additional low bytes of 24 bit samples in sm24.
+ */
+function decodeWav(buf) {
+  const wav = new SF2.RIFF(buf);
+  const wave = wav.firstForName("WAVE");
+  return decodePcm(wave.firstForName("fmt").data,
+                   wave.firstForName("data").data);
+}
+
+/**
+ * Decode the data of a WAV fmt and data chunk, as decodeWav does.
+ */
+function decodePcm(fmt, data) {
+  const formatTag = fmt.readUInt16LE(0);
+  const channels = fmt.readUInt16LE(2);
+  const sampleRate = fmt.readUInt32LE(4);
+  const dataRate = fmt.readUInt32LE(8);
+  const blockAlign = fmt.readUInt16LE(12);
+  const bitsPerSample = fmt.readUInt16LE(14);
+  const bytesPerSample = bitsPerSample >>> 3;
+  if (formatTag !== 1 && formatTag !== 65534)
+    throw Error("Only PCM and EXTENSIBLE is supported");
+  if (channels !== 1 && channels !== 2)
+    throw Error("Only mono or stereo samples allowed");
+  if (bitsPerSample & 7) throw Error("We only deal in whole mytes");
+  if (blockAlign !== channels * bytesPerSample)
+    throw Error("Unexpected block alignment");
+  if (dataRate !== sampleRate * blockAlign)
+    throw Error("Unexpected data rate");
+  if (bitsPerSample !== 16 && bitsPerSample !== 24)
+    throw Error("Only 16 and 24 bit per sample allowed");
+  if (data.length % blockAlign)
+    throw Error("Incomplete sample frame in data chunk");
+  if (formatTag === 65534) {
+    const guid = fmt.toString("hex", 24, 24 + 16);
+    // should be WMMEDIASUBTYPE_PCM, 00000001-0000-0010-8000-00AA00389B71
+    if (guid !== "0100000000001000800000aa00389b71")
+      throw Error("Only PCM subtype is supported, not " + guid);
+  }
+  if (channels === 1 && bitsPerSample === 16)
+    return {sampleRate, channels: [{smpl: data, sm24: null}]};
+  const n = data.length / blockAlign;
+  const res = [];
+  for (let c = 0; c < channels; ++c) {
+    const smpl = Buffer.alloc(2*n);
+    let sm24 = null, pos = c * bytesPerSample;
+    if (bitsPerSample === 24) {
+      // each 24 bit sample point is the sm24 byte followed by smpl word
+      sm24 = Buffer.alloc(n);
+      for (let i = 0; i < n; ++i, pos += blockAlign) {
+        sm24[i] = data[pos];
+        smpl[2*i] = data[pos + 1];
+        smpl[2*i + 1] = data[pos + 2];
+      }
+    } else {
+      for (let i = 0; i < n; ++i, pos += blockAlign) {
+        smpl[2*i] = data[pos];
+        smpl[2*i + 1] = data[pos + 1];
+      }
+    }
+    res.push({smpl, sm24});
+  }
+  return {sampleRate, channels: res};
+}
+// Pass the parts of the output to write, one after the other.
+function writeParts(parts, write) {
+  return parts.reduce((prev, part) => prev.then(() => {
+    if (!(part instanceof LazyPart))
+      return write(part);
+    let written = 0;
+    return part.produce(buf => {
+      written += buf.length;
+      return write(buf);
+    }).then(() => {
+      if (written !== part.length)
+        throw Error(`Produced ${written} bytes instead of ${part.length}`);
+    });
+  }), Promise.resolve());
+}
+
+function sha1(buf) {
+  const h = crypto.createHash("sha1");
+  h.update(buf);
+  return h.digest("hex");
 }
 
+module.exports.YamlParse = YamlParse;
+module.exports.decodePcm = decodePcm;
+module.exports.decodeWav = decodeWav;
+
 if (require.main === module) {
   let status = 2;
   process.on("beforeExit", () => process.exit(status));
-  (new YamlParse(process.argv[2])).compile()
-    .then(sf2 => writeFile(process.argv[3] || "out.sf2", sf2))
+  require("./index").yamlToSf2File(process.argv[2],
+                                   process.argv[3] || "out.sf2")
     .then(() => status = 0, (err) => { console.error(err); status = 1; });
 }
@@ -0,0 +1,70 @@
+"use strict";
+
+/*
+ * Compilation of YAML directories, in memory and incrementally
+ * to a file, which must reproduce the decompiled SF2 file exactly.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+
+const sfu = require("../src/index");
+const bank = require("./lib/bank");
+const run = require("./lib/run").run;
+
+// The standard bank with the low bytes of 24 bit samples.
+function bank24() {
+  const desc = bank.standard();
+  let x = 7;
+  for (let s of desc.samples)
+    s.data24 = s.data.map(() => (x = (x * 75 + 74) % 65537) & 0xff);
+  return bank.build(desc);
+}
+
+// Decompile buf in the given format and compile it both ways.
+function roundTrip(buf, format) {
+  const tmp = bank.tmpdir();
+  const dir = path.join(tmp, "yaml"), out = path.join(tmp, "out.sf2");
+  return sfu.sf2ToYaml(buf, dir, {format})
+    .then(() => sfu.yamlToSf2(dir))
+    .then(res => {
+      assert(res.equals(buf), "compile differs from input");
+      return sfu.yamlToSf2File(dir, out);
+    })
+    .then(() => assert(fs.readFileSync(out).equals(buf),
+                       "compileTo differs from input"));
+}
+
+run("compile", {
+
+  wav16() {
+    return roundTrip(bank.build(bank.standard()), "wav");
+  },
+
+  wav24() {
+    return roundTrip(bank24(), "wav");
+  },
+
+  flac24() {
+    return roundTrip(bank24(), "flac");
+  },
+
+  failure() {
+    const tmp = bank.tmpdir();
+    const dir = path.join(tmp, "yaml"), out = path.join(tmp, "out.sf2");
+    const wav = path.join(dir, "wav", "Sine.wav");
+    return sfu.sf2ToYaml(bank24(), dir).then(() => {
+      // the low byte of the last sample point, only written to sm24
+      const buf = fs.readFileSync(wav);
+      buf[buf.length - 3] ^= 1;
+      fs.writeFileSync(wav, buf);
+      return sfu.yamlToSf2File(dir, out);
+    }).then(() => assert.fail("no error"), err => {
+      assert(/does not match recorded sm24 checksum: Sine$/.test(err.message),
+             err.message);
+      assert(!fs.existsSync(out), "partial output left");
+    });
+  },
+
+});
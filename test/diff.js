@@ -0,0 +1,56 @@
+"use strict";
+
+/*
+ * Semantic diff of test banks: renamed objects are matched by content,
+ * reordering is ignored and only real changes are listed.
+ */
+
+const assert = require("assert");
+
+const sfu = require("../src/index");
+const bank = require("./lib/bank");
+const run = require("./lib/run").run;
+
+run("diff", {
+
+  identical() {
+    const buf = bank.build(bank.standard());
+    return sfu.diff(buf, Buffer.from(buf))
+      .then(changes => assert.deepStrictEqual(changes, []));
+  },
+
+  reordered() {
+    const desc = bank.standard();
+    desc.presets[2].zones.reverse();
+    const gens = desc.instruments[0].zones[2].gens;
+    gens.splice(1, 2, gens[2], gens[1]);
+    return sfu.diff(bank.build(bank.standard()), bank.build(desc))
+      .then(changes => assert.deepStrictEqual(changes, []));
+  },
+
+  renamed() {
+    const desc = bank.standard();
+    desc.samples[0].name = "Sine wave";
+    desc.instruments[1].name = "Strings";
+    desc.instruments[0].zones[2].gens[2][1] = 8000;
+    return sfu.diff(bank.build(bank.standard()), bank.build(desc))
+      .then(changes => {
+        assert.deepStrictEqual(changes, [
+          {kind: "sample", id: "Sine", type: "renamed",
+           old: "Sine", new: "Sine_wave"},
+          {kind: "instrument", id: "Pad", type: "renamed",
+           old: "Pad", new: "Strings"},
+          {kind: "sample", id: "Sine", type: "changed",
+           path: "achSampleName", old: "Sine", new: "Sine wave"},
+          {kind: "instrument", id: "Sine", type: "changed",
+           path: "zones[keyRange=64-127,sampleID=Sine].gens.initialFilterFc",
+           old: 9000, new: 8000},
+          {kind: "instrument", id: "Pad", type: "changed",
+           path: "achInstName", old: "Pad", new: "Strings"},
+        ]);
+        assert.strictEqual(sfu.formatDiff(changes).split("\n")[1],
+                           "instrument Pad renamed to Strings");
+      });
+  },
+
+});
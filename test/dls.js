@@ -0,0 +1,81 @@
+"use strict";
+
+/*
+ * Conversion of test banks to DLS and back, which must sound the same
+ * for Level 2, and the report of what Level 1 cannot express.
+ */
+
+const assert = require("assert");
+const path = require("path");
+
+const SF2 = require("../src/SF2");
+const sfu = require("../src/index");
+const synth = require("../src/synth");
+const bank = require("./lib/bank");
+const run = require("./lib/run").run;
+
+run("dls", {
+
+  level2() {
+    const file = path.join(bank.tmpdir(), "bank.dls");
+    const buf = bank.build(bank.standard()), orig = new SF2.SF2(buf);
+    const warnings = [];
+    return sfu.sf2ToDls(buf, file).then(report => {
+      assert.deepStrictEqual(report.map(r => r.message), [
+        "sample Pad L: stereo link not converted",
+        "sample Pad R: stereo link not converted",
+      ]);
+      return sfu.dlsToSf2(file, {warn: msg => warnings.push(msg)});
+    }).then(res => {
+      assert.deepStrictEqual(warnings, []);
+      const sf2 = new SF2.SF2(res);
+      const header = p => [p.achPresetName, p.wBank, p.wPreset];
+      assert.deepStrictEqual(sf2.phdr.map(header), orig.phdr.map(header));
+      const sample = s => [s.achSampleName, s.dwEnd - s.dwStart,
+                           s.dwStartloop - s.dwStart, s.dwEndloop - s.dwStart,
+                           s.dwSamplerRate, s.byOriginalPitch];
+      assert.deepStrictEqual(sf2.shdr.map(sample), orig.shdr.map(sample));
+      orig.phdr.forEach((p, i) => {
+        const voices = sf2.presetVoices(sf2.phdr[i]);
+        orig.presetVoices(p).forEach((v, j) =>
+          assert.deepStrictEqual(voices[j].gens, v.gens,
+                                 `${p.achPresetName} voice ${j}`));
+      });
+      for (let program of [0, 1, 2]) {
+        const note = {program, key: 60, velocity: 127, duration: 0.3};
+        assert.deepStrictEqual(synth.renderNote(sf2, note),
+                               synth.renderNote(orig, note),
+                               "program " + program);
+      }
+    });
+  },
+
+  level1() {
+    const file = path.join(bank.tmpdir(), "bank.dls");
+    return sfu.sf2ToDls(bank.build(bank.standard()), file, {level: 1})
+      .then(report => {
+        const entries = report.map(r => `${r.instrument}: ${r.region}: ` +
+                                   r.message);
+        for (let entry of [
+          "Sine (0:0): Sine keys 64-127 velocities 0-127: " +
+            "initialFilterFc requires DLS Level 2, not converted",
+          "Pad (0:1): Pad L keys 0-127 velocities 0-127: " +
+            "overlapping regions require DLS Level 2",
+          "Pad (0:1): Pad L keys 0-127 velocities 0-127: " +
+            "reverbEffectsSend requires DLS Level 2, not converted",
+          "Sine (0:0): Sine keys 0-63 velocities 0-127: modulator " +
+            "[cc1 -> vibLfoToPitch] with amount 50 not converted",
+        ])
+          assert(entries.includes(entry), entry);
+        return sfu.dlsToSf2(file, {warn: () => {}});
+      }).then(res => {
+        // the filter is lost, the rest remains
+        const sf2 = new SF2.SF2(res);
+        const voices = sf2.resolve(0, 0, 70, 127);
+        assert.strictEqual(voices.length, 1);
+        assert.strictEqual(voices[0].gens.initialFilterFc, 13500);
+        assert.strictEqual(voices[0].gens.coarseTune, 12);
+      });
+  },
+
+});
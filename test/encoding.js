@@ -0,0 +1,58 @@
+"use strict";
+
+/*
+ * Encoding of names into the fixed size fields of SF2 records.
+ */
+
+const assert = require("assert");
+
+const encoding = require("../src/encoding");
+
+function encodeName(value, enc) {
+  const warnings = [];
+  const res = encoding.encodeFixed(value, enc, 20, msg => warnings.push(msg));
+  return {res, warnings};
+}
+
+const tests = {
+
+  short() {
+    assert.deepStrictEqual(encodeName("Grand Piano", "latin1"),
+                           {res: "Grand Piano", warnings: []});
+  },
+
+  maximum() {
+    // 19 bytes leave room for the terminating zero byte
+    const name = "A".repeat(19);
+    assert.deepStrictEqual(encodeName(name, "latin1"),
+                           {res: name, warnings: []});
+  },
+
+  truncated() {
+    const {res, warnings} = encodeName("Acoustic Grand Piano", "latin1");
+    assert.strictEqual(res, "Acoustic Grand Pian");
+    assert.deepStrictEqual(warnings, [
+      "\"Acoustic Grand Piano\" is longer than 19 bytes, " +
+        "truncated to \"Acoustic Grand Pian\"",
+    ]);
+  },
+
+  multibyte() {
+    // characters are not split, even if fewer bytes remain
+    const {res, warnings} = encodeName("Klänge für Flügü", "utf8");
+    assert.strictEqual(Buffer.from(res, "binary").toString("utf8"),
+                       "Klänge für Flüg");
+    assert.strictEqual(warnings.length, 1);
+  },
+
+  explicit() {
+    const value = {text: "Ä".repeat(20), encoding: "latin1"};
+    assert.strictEqual(encodeName(value, "utf8").res, "\xc4".repeat(19));
+  },
+
+};
+
+for (let name of Object.keys(tests)) {
+  tests[name]();
+  console.log("ok encoding " + name);
+}
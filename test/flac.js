@@ -0,0 +1,96 @@
+"use strict";
+
+/*
+ * Round trips through the FLAC encoder and decoder,
+ * for the sample formats used in the sample pool.
+ */
+
+const assert = require("assert");
+const crypto = require("crypto");
+
+const flac = require("../src/flac");
+
+// a block size of the encoder and some more, for a partial last block
+const length = 3 * 4096 + 1234;
+
+// Deterministic test signal: a sine with noise, at the given bits.
+function signal(bits, seed, n=length) {
+  const max = (1 << (bits - 1)) - 1;
+  const res = new Int32Array(n);
+  let x = seed;
+  for (let i = 0; i < n; ++i) {
+    x = (x * 1103515245 + 12345) % 0x80000000;
+    const noise = (x / 0x80000000 - 0.5) * 0.1;
+    res[i] = Math.round(max * (0.8 * Math.sin(i * seed / 1000) + noise));
+  }
+  return res;
+}
+
+// The MD5 of the interleaved little endian samples, as in STREAMINFO.
+function pcmMd5(channels, bits) {
+  const width = bits / 8, n = channels[0].length;
+  const buf = Buffer.alloc(n * channels.length * width);
+  for (let i = 0; i < n; ++i)
+    channels.forEach((c, j) =>
+      buf.writeIntLE(c[i], (i * channels.length + j) * width, width));
+  return crypto.createHash("md5").update(buf).digest();
+}
+
+function roundTrip(bits, channels) {
+  const audio = {sampleRate: 44100, bitsPerSample: bits, channels};
+  const buf = flac.encode(audio);
+  assert.strictEqual(buf.toString("ascii", 0, 4), "fLaC");
+  assert(buf.length < channels.length * channels[0].length * bits / 8,
+         "no compression");
+  assert.deepStrictEqual(buf.slice(26, 42), pcmMd5(channels, bits),
+                         "wrong MD5 in STREAMINFO");
+  const res = flac.decode(buf);
+  assert.strictEqual(res.sampleRate, 44100);
+  assert.strictEqual(res.bitsPerSample, bits);
+  assert.strictEqual(res.channels.length, channels.length);
+  res.channels.forEach((c, i) => assert.deepStrictEqual(c, channels[i]));
+  return buf;
+}
+
+const tests = {
+
+  mono16() {
+    roundTrip(16, [signal(16, 3)]);
+  },
+
+  stereo16() {
+    // nearly equal channels, for the stereo decorrelation modes
+    const left = signal(16, 5), right = left.map((x, i) => x + i % 7 - 3);
+    roundTrip(16, [left, right]);
+  },
+
+  mono24() {
+    roundTrip(24, [signal(24, 7)]);
+  },
+
+  stereo24() {
+    roundTrip(24, [signal(24, 11), signal(24, 13)]);
+  },
+
+  extremes() {
+    const edges = Int32Array.from({length: 5000},
+                                  (_, i) => i & 1 ? 32767 : -32768);
+    roundTrip(16, [edges, new Int32Array(5000)]);
+  },
+
+  shortBlock() {
+    roundTrip(16, [signal(16, 17, 100), signal(16, 19, 100)]);
+  },
+
+  md5Mismatch() {
+    const buf = Buffer.from(roundTrip(16, [signal(16, 23)]));
+    buf[30] ^= 1;
+    assert.throws(() => flac.decode(buf), /MD5 signature mismatch/);
+  },
+
+};
+
+for (let name of Object.keys(tests)) {
+  tests[name]();
+  console.log("ok flac " + name);
+}
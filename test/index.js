@@ -0,0 +1,23 @@
+"use strict";
+
+/*
+ * Run every test file in this directory in a process of its own,
+ * failing if any of them fails. Shared code lives in lib/.
+ */
+
+const childProcess = require("child_process");
+const fs = require("fs");
+const path = require("path");
+
+let failed = 0;
+for (let name of fs.readdirSync(__dirname).sort()) {
+  if (!/\.js$/.test(name) || name === "index.js")
+    continue;
+  const res = childProcess.spawnSync(
+    process.execPath, [path.join(__dirname, name)], {stdio: "inherit"});
+  if (res.status !== 0) {
+    console.error("FAILED " + name);
+    ++failed;
+  }
+}
+process.exitCode = failed ? 1 : 0;
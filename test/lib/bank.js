@@ -0,0 +1,207 @@
+"use strict";
+
+/*
+ * Small soundfonts for tests, built directly from the records
+ * so that they also can contain deliberate errors.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const SF2 = require("../../src/SF2");
+
+function chunk(id, data) {
+  const head = Buffer.alloc(8);
+  head.write(id, 0, "ascii");
+  head.writeUInt32LE(data.length, 4);
+  return Buffer.concat([head, data, Buffer.alloc(data.length & 1)]);
+}
+
+function list(id, type, parts) {
+  return chunk(id, Buffer.concat([Buffer.from(type, "ascii")].concat(parts)));
+}
+
+function zstr(str) {
+  return Buffer.from(str + "\0".repeat(2 - (str.length & 1)), "binary");
+}
+
+// Periods of a sine with some harmonics, as 16 bit sample points.
+function wave(length, period, level=12000) {
+  return Array.from({length}, (_, i) => Math.round(level * (
+    Math.sin(2 * Math.PI * i / period) +
+      0.3 * Math.sin(6 * Math.PI * i / period))));
+}
+
+/**
+ * A bank with a mono sine, a stereo pair and three presets,
+ * one of them layering two instruments, as a description for build.
+ */
+function standard() {
+  return {
+    info: {INAM: "Test bank"},
+    samples: [
+      {name: "Sine", data: wave(1000, 100), loopStart: 100, loopEnd: 900,
+       originalPitch: 60},
+      {name: "Pad L", data: wave(800, 80), loopStart: 80, loopEnd: 720,
+       originalPitch: 64, sampleRate: 22050, type: 4, link: 2},
+      {name: "Pad R", data: wave(800, 40), loopStart: 80, loopEnd: 720,
+       originalPitch: 64, sampleRate: 22050, type: 2, link: 1},
+    ],
+    instruments: [
+      {name: "Sine", zones: [
+        {gens: [["attackVolEnv", -7973], ["releaseVolEnv", -2000]]},
+        {gens: [["keyRange", "0-63"], ["sampleModes", 1], ["sampleID", 0]]},
+        {gens: [["keyRange", "64-127"], ["coarseTune", 12],
+                ["initialFilterFc", 9000], ["sampleModes", 1],
+                ["sampleID", 0]]},
+      ]},
+      {name: "Pad", zones: [
+        {gens: [["pan", -500], ["sampleModes", 1], ["sampleID", 1]]},
+        {gens: [["pan", 500], ["sampleModes", 1], ["sampleID", 2]]},
+      ]},
+    ],
+    presets: [
+      {name: "Sine", preset: 0, zones: [{gens: [["instrument", 0]]}]},
+      {name: "Pad", preset: 1, zones: [
+        {gens: [["reverbEffectsSend", 200], ["instrument", 1]]},
+      ]},
+      {name: "Layer", preset: 2, zones: [
+        {gens: [["keyRange", "48-72"], ["instrument", 0]]},
+        {gens: [["initialAttenuation", 60], ["instrument", 1]]},
+      ]},
+    ],
+  };
+}
+
+/**
+ * Build an SF2 file from a description as returned by standard.
+ * Generators are lists of name and value pairs, with ranges as strings
+ * and instruments and samples given by index. Samples may have
+ * data24 with the additional low bytes, for an sm24 chunk.
+ * INFO values are strings, or buffers with the raw chunk data.
+ * The optional patch function can modify the records before they
+ * are written, e.g. to plant errors.
+ */
+function build(desc, patch) {
+  const smpl = [], sm24 = [], shdr = [];
+  let pos = 0;
+  for (let s of desc.samples) {
+    const data = Buffer.alloc(2 * (s.data.length + 46));
+    s.data.forEach((x, i) => data.writeInt16LE(x, 2 * i));
+    smpl.push(data);
+    sm24.push(Buffer.concat([Buffer.from(s.data24 || s.data.map(() => 0)),
+                             Buffer.alloc(46)]));
+    shdr.push({
+      achSampleName: s.name,
+      dwStart: pos,
+      dwEnd: pos + s.data.length,
+      dwStartloop: pos + (s.loopStart || 0),
+      dwEndloop: pos + (s.loopEnd || 0),
+      dwSamplerRate: s.sampleRate || 44100,
+      byOriginalPitch: s.originalPitch === undefined ? 60 : s.originalPitch,
+      chPitchCorrection: s.pitchCorrection || 0,
+      wSampleLink: s.link || 0,
+      sfSampleType: s.type || 1,
+    });
+    pos += s.data.length + 46;
+  }
+  shdr.push({achSampleName: "EOS", dwStart: 0, dwEnd: 0, dwStartloop: 0,
+             dwEndloop: 0, dwSamplerRate: 0, byOriginalPitch: 0,
+             chPitchCorrection: 0, wSampleLink: 0, sfSampleType: 0});
+
+  const records = {shdr};
+  const hierarchy = (items, hdr, letter, prefix, header, term) => {
+    const h = [], bag = [], gen = [], mod = [];
+    const bagNdx = () => ({
+      ["w" + prefix + "GenNdx"]: gen.length,
+      ["w" + prefix + "ModNdx"]: mod.length,
+    });
+    const hdrNdx = "w" + (prefix || "Preset") + "BagNdx";
+    for (let item of items) {
+      h.push(Object.assign(header(item), {[hdrNdx]: bag.length}));
+      for (let z of item.zones) {
+        bag.push(bagNdx());
+        for (let [name, value] of z.gens)
+          gen.push({sfGenOper: SF2.Generator.names.indexOf(name),
+                    genAmount: value});
+        for (let m of z.mods || [])
+          mod.push(m);
+      }
+    }
+    h.push(Object.assign(term, {[hdrNdx]: bag.length}));
+    bag.push(bagNdx());
+    gen.push({sfGenOper: 0, genAmount: 0});
+    mod.push({sfModSrcOper: 0, sfModDestOper: 0, modAmount: 0,
+              sfModAmtSrcOper: 0, sfModTransOper: 0});
+    records[hdr] = h;
+    records[letter + "bag"] = bag;
+    records[letter + "gen"] = gen;
+    records[letter + "mod"] = mod;
+  };
+  const presetHeader = p => ({
+    achPresetName: p.name, wPreset: p.preset || 0, wBank: p.bank || 0,
+    dwLibrary: 0, dwGenre: 0, dwMorphology: 0,
+  });
+  hierarchy(desc.presets, "phdr", "p", "", presetHeader,
+            presetHeader({name: "EOP"}));
+  hierarchy(desc.instruments, "inst", "i", "Inst",
+            i => ({achInstName: i.name}), {achInstName: "EOI"});
+  if (patch)
+    patch(records);
+
+  const info = Object.assign({isng: "EMU8000", INAM: "Untitled"}, desc.info);
+  const version = Buffer.alloc(4);
+  version.writeUInt16LE(2, 0);
+  version.writeUInt16LE(desc.samples.some(s => s.data24) ? 4 : 1, 2);
+  const sdta = [chunk("smpl", Buffer.concat(smpl))];
+  if (desc.samples.some(s => s.data24))
+    sdta.push(chunk("sm24", Buffer.concat(sm24)));
+  return list("RIFF", "sfbk", [
+    list("LIST", "INFO", [chunk("ifil", version)].concat(
+      Object.keys(info).map(k => chunk(k, Buffer.isBuffer(info[k]) ?
+                                       info[k] : zstr(info[k]))))),
+    list("LIST", "sdta", sdta),
+    list("LIST", "pdta", [
+      "phdr", "pbag", "pmod", "pgen", "inst", "ibag", "imod", "igen", "shdr",
+    ].map(id => SF2.RecordLayout[id].write(id, records[id]))),
+  ]);
+}
+
+/**
+ * A new temporary directory, removed when the process exits.
+ */
+function tmpdir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "soundfontutils-"));
+  process.on("exit", () => remove(dir));
+  return dir;
+}
+
+/**
+ * Copy a file or a directory with all its content.
+ */
+function copy(src, dst) {
+  if (fs.statSync(src).isDirectory()) {
+    fs.mkdirSync(dst);
+    for (let name of fs.readdirSync(src))
+      copy(path.join(src, name), path.join(dst, name));
+  } else {
+    fs.writeFileSync(dst, fs.readFileSync(src));
+  }
+}
+
+function remove(file) {
+  if (fs.lstatSync(file).isDirectory()) {
+    for (let name of fs.readdirSync(file))
+      remove(path.join(file, name));
+    fs.rmdirSync(file);
+  } else {
+    fs.unlinkSync(file);
+  }
+}
+
+module.exports.build = build;
+module.exports.copy = copy;
+module.exports.standard = standard;
+module.exports.tmpdir = tmpdir;
+module.exports.wave = wave;
@@ -0,0 +1,18 @@
+"use strict";
+
+/**
+ * Run the tests, functions which may return a promise, one after
+ * the other and report each as part of the suite.
+ * The first failure ends the process with an error.
+ */
+function run(suite, tests) {
+  return Object.keys(tests).reduce((prev, name) => prev
+    .then(() => tests[name]())
+    .then(() => console.log(`ok ${suite} ${name}`)), Promise.resolve())
+    .catch(err => {
+      console.error(err);
+      process.exitCode = 1;
+    });
+}
+
+module.exports.run = run;
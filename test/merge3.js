@@ -0,0 +1,83 @@
+"use strict";
+
+/*
+ * Three-way merge of YAML directories decompiled from a test bank,
+ * with changes on both sides, one pair of them conflicting.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+
+const sfu = require("../src/index");
+const bank = require("./lib/bank");
+const run = require("./lib/run").run;
+
+const dir = bank.tmpdir();
+const base = path.join(dir, "base");
+const ours = path.join(dir, "ours");
+const theirs = path.join(dir, "theirs");
+const out = path.join(dir, "out");
+
+// Change the YAML file with the given name in directory dir.
+function edit(dir, name, change) {
+  const file = path.join(dir, name);
+  const data = yaml.safeLoad(fs.readFileSync(file, "utf-8"));
+  change(data);
+  fs.writeFileSync(file, yaml.safeDump(data));
+}
+
+run("merge3", {
+
+  setup() {
+    return sfu.sf2ToYaml(bank.build(bank.standard()), base).then(() => {
+      bank.copy(base, ours);
+      bank.copy(base, theirs);
+    });
+  },
+
+  clean() {
+    edit(ours, "instruments/Sine.yml", inst => {
+      inst.zones[2].gens[2].initialFilterFc = 8000;
+    });
+    edit(theirs, "presets/Pad.yml", preset => {
+      preset.zones[0].gens.unshift({chorusEffectsSend: 100});
+    });
+    return sfu.mergeYaml3(base, ours, theirs, out).then(conflicts => {
+      assert.deepStrictEqual(conflicts, []);
+      const inst = yaml.safeLoad(fs.readFileSync(
+        path.join(out, "instruments/Sine.yml"), "utf-8"));
+      assert.deepStrictEqual(inst.zones[2].gens[2], {initialFilterFc: 8000});
+      const preset = yaml.safeLoad(fs.readFileSync(
+        path.join(out, "presets/Pad.yml"), "utf-8"));
+      assert.deepStrictEqual(preset.zones[0].gens, [
+        {chorusEffectsSend: 100},
+        {reverbEffectsSend: 200},
+        {instrument: "Pad"},
+      ]);
+      return sfu.yamlToSf2(out);
+    });
+  },
+
+  conflict() {
+    edit(ours, "instruments/Sine.yml", inst => {
+      inst.zones[0].gens[1].releaseVolEnv = -1000;
+    });
+    edit(theirs, "instruments/Sine.yml", inst => {
+      inst.zones[0].gens[1].releaseVolEnv = -3000;
+    });
+    return sfu.mergeYaml3(base, ours, theirs, out).then(conflicts => {
+      assert.strictEqual(conflicts.length, 1);
+      const c = conflicts[0];
+      assert.strictEqual(path.basename(c.file), "Sine.yml");
+      assert.strictEqual(c.path, "zones[global].gens.releaseVolEnv");
+      assert.deepStrictEqual([c.base, c.ours, c.theirs], [-2000, -1000, -3000]);
+      const inst = yaml.safeLoad(fs.readFileSync(
+        path.join(out, "instruments/Sine.yml"), "utf-8"));
+      assert.deepStrictEqual(inst.zones[0].gens[1], {releaseVolEnv: -1000});
+      assert.deepStrictEqual(inst.zones[2].gens[2], {initialFilterFc: 8000});
+    });
+  },
+
+});
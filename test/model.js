@@ -0,0 +1,37 @@
+"use strict";
+
+/*
+ * The object model of existing test banks, written back to SF2.
+ */
+
+const assert = require("assert");
+
+const SF2 = require("../src/SF2");
+const model = require("../src/model");
+const bank = require("./lib/bank");
+const run = require("./lib/run").run;
+
+run("model", {
+
+  roundTrip() {
+    const buf = bank.build(bank.standard());
+    const font = model.SoundFont.fromSF2(new SF2.SF2(buf));
+    assert.deepStrictEqual(font.samples[1].link, font.samples[2]);
+    assert.deepStrictEqual(font.presets[2].zones.map(z => z.instrument.name),
+                           ["Sine", "Pad"]);
+    assert(font.toBuffer().equals(buf), "differs from input");
+  },
+
+  info() {
+    // chunks which are no strings must be kept as they are
+    const desc = bank.standard();
+    desc.info.ICMT = "Comment";
+    desc.info.xtra = Buffer.from([1, 0xff, 0, 7, 0x41, 0x42]);
+    const buf = bank.build(desc);
+    const font = model.SoundFont.fromSF2(new SF2.SF2(buf));
+    assert.strictEqual(font.info.ICMT, "Comment");
+    assert.deepStrictEqual(font.info.xtra, desc.info.xtra);
+    assert(font.toBuffer().equals(buf), "differs from input");
+  },
+
+});
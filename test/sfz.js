@@ -0,0 +1,156 @@
+"use strict";
+
+/*
+ * Export of test banks to SFZ: opcodes for generators and modulators,
+ * the sample files and the report of what could not be converted,
+ * and import of the result, which must sound the same.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+
+const SF2 = require("../src/SF2");
+const sfu = require("../src/index");
+const synth = require("../src/synth");
+const bank = require("./lib/bank");
+const run = require("./lib/run").run;
+
+// The opcodes of an .sfz file, as lines without comments and blanks.
+function opcodes(file) {
+  return fs.readFileSync(file, "utf8").split("\n")
+    .filter(line => line && !line.startsWith("//"));
+}
+
+// The lines of the header, up to the next header of the same kind.
+function section(lines, header, n=0) {
+  let start = -1;
+  for (let i = 0; i <= n; ++i)
+    start = lines.indexOf(header, start + 1);
+  const end = lines.indexOf(header, start + 1);
+  return lines.slice(start + 1, end < 0 ? lines.length : end);
+}
+
+run("sfz", {
+
+  standard() {
+    const dir = path.join(bank.tmpdir(), "sfz");
+    return sfu.sf2ToSfz(bank.build(bank.standard()), dir).then(report => {
+      assert.deepStrictEqual(fs.readdirSync(dir).sort(),
+                             ["Layer.sfz", "Pad.sfz", "Sine.sfz", "wav"]);
+      assert.deepStrictEqual(fs.readdirSync(path.join(dir, "wav")).sort(),
+                             ["Pad_L.wav", "Pad_R.wav", "Sine.wav"]);
+      const sine = opcodes(path.join(dir, "Sine.sfz"));
+      assert.deepStrictEqual(section(sine, "<group>"), [
+        "pitch_keycenter=60",
+        "loop_mode=loop_continuous",
+        "loop_start=100",
+        "loop_end=899",
+        "ampeg_attack=0.01",
+        "ampeg_release=0.315",
+        "pitchlfo_freq=8.176",
+        "fil_veltrack=2400",
+        "pitchlfo_depthcc1=50",
+        "fil_type=lpf_2p",
+        "<region>",
+        "sample=Sine.wav",
+        "lokey=0",
+        "hikey=63",
+        "cutoff=4978",
+        "<region>",
+        "sample=Sine.wav",
+        "lokey=64",
+        "hikey=127",
+        "transpose=12",
+        "cutoff=370",
+      ]);
+      const pad = opcodes(path.join(dir, "Pad.sfz"));
+      assert(section(pad, "<group>").includes("effect1=20"));
+      assert.deepStrictEqual(section(pad, "<region>", 1),
+                             ["sample=Pad_R.wav", "pan=100"]);
+      // the default channel pressure modulator has no SFZ opcode
+      assert.strictEqual(report.length, 10);
+      assert.deepStrictEqual(report[0], {
+        file: "Sine.sfz",
+        region: "Sine keys 0-63 velocities 0-127",
+        message: "modulator [channelPressure -> vibLfoToPitch] " +
+          "with amount 50 not converted",
+      });
+      assert.deepStrictEqual(report.slice(8), ["Pad_L", "Pad_R"].map(
+        name => ({file: `wav/${name}.wav`, region: null,
+                  message: "stereo link not converted, " +
+                    "written as mono sample"})));
+    });
+  },
+
+  modulators() {
+    const desc = bank.standard();
+    desc.instruments[1].zones[0].mods = [
+      // CC 74 to filter cutoff
+      {sfModSrcOper: 0x80 | 74, sfModDestOper: 8, modAmount: 1200,
+       sfModAmtSrcOper: 0, sfModTransOper: 0},
+      // polyphonic pressure to attenuation
+      {sfModSrcOper: 10, sfModDestOper: 48, modAmount: 100,
+       sfModAmtSrcOper: 0, sfModTransOper: 0},
+    ];
+    const dir = path.join(bank.tmpdir(), "sfz");
+    return sfu.sf2ToSfz(bank.build(desc), dir).then(report => {
+      const left = section(opcodes(path.join(dir, "Pad.sfz")), "<region>");
+      assert(left.includes("cutoff_oncc74=1200"), left.join(" "));
+      const pad = report.filter(r => r.file === "Pad.sfz")
+        .map(r => r.region + ": " + r.message);
+      assert.deepStrictEqual(pad, [
+        "Pad_L keys 0-127 velocities 0-127: modulator " +
+          "[channelPressure -> vibLfoToPitch] with amount 50 not converted",
+        "Pad_L keys 0-127 velocities 0-127: modulator " +
+          "[polyPressure -> initialAttenuation] with amount 100 not converted",
+        "Pad_R keys 0-127 velocities 0-127: modulator " +
+          "[channelPressure -> vibLfoToPitch] with amount 50 not converted",
+      ]);
+    });
+  },
+
+  unsupported() {
+    const desc = bank.standard();
+    desc.instruments[0].zones[0].gens.push(["keynumToVolEnvDecay", 50]);
+    const dir = path.join(bank.tmpdir(), "sfz");
+    return sfu.sf2ToSfz(bank.build(desc), dir).then(report => {
+      assert(report.some(r => r.file === "Sine.sfz" &&
+                         r.message === "keynumToVolEnvDecay not converted"));
+    });
+  },
+
+  roundTrip() {
+    const dir = path.join(bank.tmpdir(), "sfz");
+    const buf = bank.build(bank.standard()), orig = new SF2.SF2(buf);
+    const warnings = [];
+    return sfu.sf2ToSfz(buf, dir)
+      .then(() => sfu.sfzToSf2(
+        ["Sine", "Pad", "Layer"].map(name => path.join(dir, name + ".sfz")),
+        {warn: msg => warnings.push(msg)}))
+      .then(res => {
+        assert.deepStrictEqual(warnings, []);
+        const sf2 = new SF2.SF2(res);
+        assert.deepStrictEqual(
+          sf2.phdr.map(p => [p.achPresetName, p.wPreset]),
+          [["Sine", 0], ["Pad", 1], ["Layer", 2]]);
+        const points = s => [s.dwEnd - s.dwStart, s.dwStartloop - s.dwStart,
+                             s.dwEndloop - s.dwStart, s.dwSamplerRate];
+        assert.deepStrictEqual(sf2.shdr.map(points), orig.shdr.map(points));
+        // as reported, stereo samples become mono
+        assert.deepStrictEqual(
+          sf2.shdr.map(s => [s.sfSampleType, s.wSampleLink]),
+          [[1, 0], [1, 0], [1, 0]]);
+        // the representation differs, e.g. for the filter, but not the sound
+        for (let program of [0, 1, 2]) {
+          for (let key of [40, 60, 70]) {
+            const note = {program, key, velocity: 127, duration: 0.3};
+            assert.deepStrictEqual(synth.renderNote(sf2, note),
+                                   synth.renderNote(orig, note),
+                                   `program ${program} key ${key}`);
+          }
+        }
+      });
+  },
+
+});
@@ -0,0 +1,100 @@
+"use strict";
+
+/*
+ * Extraction of presets from a test bank, with the instruments
+ * and samples they use and nothing else.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+
+const SF2 = require("../src/SF2");
+const sfu = require("../src/index");
+const bank = require("./lib/bank");
+const run = require("./lib/run").run;
+
+function extract(desc, selectors) {
+  return sfu.subset(bank.build(desc), selectors)
+    .then(font => new SF2.SF2(font.toBuffer()));
+}
+
+const names = (records, key) => records.map(r => r[key]);
+
+// The sample points of a sample header, as 16 bit values.
+function points(sf2, s) {
+  const smpl = sf2.chunks[0].firstForName("sdta").firstForName("smpl");
+  return Int16Array.from({length: s.dwEnd - s.dwStart},
+                         (_, i) => smpl.data.readInt16LE(2 * (s.dwStart + i)));
+}
+
+run("subset", {
+
+  stereo() {
+    return extract(bank.standard(), "0:1").then(sf2 => {
+      assert.deepStrictEqual(names(sf2.phdr, "achPresetName"), ["Pad"]);
+      assert.deepStrictEqual(names(sf2.inst, "achInstName"), ["Pad"]);
+      const [left, right] = sf2.shdr;
+      assert.deepStrictEqual(names(sf2.shdr, "achSampleName"),
+                             ["Pad L", "Pad R"]);
+      assert.deepStrictEqual([left.sfSampleType, left.wSampleLink], [4, 1]);
+      assert.deepStrictEqual([right.sfSampleType, right.wSampleLink], [2, 0]);
+      const desc = bank.standard();
+      assert.deepStrictEqual(points(sf2, left),
+                             Int16Array.from(desc.samples[1].data));
+      assert.deepStrictEqual(points(sf2, right),
+                             Int16Array.from(desc.samples[2].data));
+      return sfu.validate(sf2);
+    }).then(issues => assert.deepStrictEqual(issues, []));
+  },
+
+  partner() {
+    // the stereo partner is kept even if no zone plays it
+    const desc = bank.standard();
+    desc.instruments[1].zones.pop();
+    return extract(desc, "Pad").then(sf2 => {
+      assert.deepStrictEqual(names(sf2.shdr, "achSampleName"),
+                             ["Pad L", "Pad R"]);
+      assert.strictEqual(sf2.shdr[0].wSampleLink, 1);
+    });
+  },
+
+  names() {
+    return extract(bank.standard(), ["S*", "0:5-9"]).then(sf2 => {
+      assert.deepStrictEqual(names(sf2.phdr, "achPresetName"), ["Sine"]);
+      assert.deepStrictEqual(names(sf2.inst, "achInstName"), ["Sine"]);
+      assert.deepStrictEqual(names(sf2.shdr, "achSampleName"), ["Sine"]);
+    });
+  },
+
+  layer() {
+    return extract(bank.standard(), "*:2").then(sf2 => {
+      assert.deepStrictEqual(names(sf2.inst, "achInstName"), ["Sine", "Pad"]);
+      assert.strictEqual(sf2.shdr.length, 3);
+    });
+  },
+
+  file() {
+    // only the sample data of the selected presets is read
+    const buf = bank.build(bank.standard());
+    const file = path.join(bank.tmpdir(), "bank.sf2");
+    fs.writeFileSync(file, buf);
+    let smpl;
+    return SF2.SF2.open(file).then(sf2 => {
+      smpl = sf2.chunks[0].firstForName("sdta").firstForName("smpl");
+      return sfu.subset(sf2, "Sine").then(font => {
+        assert(!smpl._data, "all sample data read");
+        assert.strictEqual(sf2.fd, undefined, "file not closed");
+        return Promise.all([font, sfu.subset(buf, "Sine")]);
+      });
+    }).then(([font, expected]) => assert(
+      font.toBuffer().equals(expected.toBuffer()), "differs from buffer"));
+  },
+
+  noMatch() {
+    return sfu.subset(bank.build(bank.standard()), "Organ").then(
+      () => assert.fail("no error"),
+      err => assert.strictEqual(err.message, "No preset matches Organ"));
+  },
+
+});
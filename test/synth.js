@@ -0,0 +1,112 @@
+"use strict";
+
+/*
+ * Rendering of a small generated soundfont, compared against
+ * a stored hash and checked for envelope, loop and filter behavior.
+ * After an intended change of the synthesizer output,
+ * update the hash to the one reported by the failing test.
+ */
+
+const assert = require("assert");
+const crypto = require("crypto");
+
+const SF2 = require("../src/SF2");
+const model = require("../src/model");
+const synth = require("../src/synth");
+
+const golden =
+  "d9ba9d64aebd34b6d18931e581dca93d1224dec3515e1462b131d868597af173";
+
+// A sine of 441 Hz at 44100 Hz, looped over whole periods.
+function sine() {
+  return new model.Sample({
+    name: "Sine",
+    data: Array.from(
+      {length: 4410}, (_, i) => Math.round(16000 * Math.sin(Math.PI * i / 50))),
+    loopStart: 1000,
+    loopEnd: 4000,
+  });
+}
+
+// Deterministic white noise, looped as a whole.
+function noise() {
+  let x = 1;
+  return new model.Sample({
+    name: "Noise",
+    data: Array.from({length: 8820}, () => {
+      x = (x * 1103515245 + 12345) % 0x80000000;
+      return (x >> 8) % 32000 - 16000;
+    }),
+    loopStart: 0,
+    loopEnd: 8820,
+  });
+}
+
+function bank() {
+  const font = new model.SoundFont({INAM: "Test"});
+  const s = font.addSample(sine()), n = font.addSample(noise());
+  const add = (program, name, sample, gens) => {
+    const inst = font.addInstrument({name});
+    inst.addZone({sample, gens});
+    font.addPreset({name, preset: program}).addZone({instrument: inst});
+  };
+  add(0, "Sine", s, {
+    sampleModes: 1, attackVolEnv: "0.1s", releaseVolEnv: "0.2s",
+  });
+  add(1, "One shot", s, {sampleModes: 0});
+  add(2, "Noise", n, {sampleModes: 1});
+  add(3, "Filtered", n, {sampleModes: 1, initialFilterFc: "500Hz"});
+  return new SF2.SF2(font.toBuffer());
+}
+
+// Root mean square of the left channel from second a to second b.
+function rms(audio, a, b) {
+  const c = audio.channels[0].subarray(
+    Math.round(a * audio.sampleRate), Math.round(b * audio.sampleRate));
+  return Math.sqrt(c.reduce((sum, x) => sum + x * x, 0) / c.length);
+}
+
+const sf2 = bank();
+const render = (program, duration) => synth.renderNote(sf2, {
+  program, duration, key: 60, velocity: 127,
+});
+
+const tests = {
+
+  golden() {
+    const hash = crypto.createHash("sha256")
+      .update(synth.toWav(render(0, 0.5))).digest("hex");
+    assert.strictEqual(hash, golden, "rendering differs from golden hash");
+  },
+
+  envelope() {
+    const audio = render(0, 0.5);
+    const length = audio.channels[0].length / audio.sampleRate;
+    assert(rms(audio, 0.01, 0.02) < 0.5 * rms(audio, 0.3, 0.4),
+           "attack too fast");
+    assert(rms(audio, 0.55, 0.6) < 0.9 * rms(audio, 0.45, 0.5),
+           "no release");
+    assert(length > 0.6 && length < 1, "release length " + length);
+  },
+
+  loop() {
+    const looped = render(0, 2), shot = render(1, 2);
+    const held = rms(looped, 1.8, 1.9), early = rms(looped, 0.3, 0.4);
+    assert(Math.abs(held - early) < 0.01 * early, "loop not sustained");
+    assert(rms(shot, 0.02, 0.08) > 0.1, "one shot silent");
+    assert.strictEqual(rms(shot, 0.15, 1.5), 0, "one shot looped");
+  },
+
+  filter() {
+    const plain = rms(render(2, 0.5), 0.1, 0.5);
+    const filtered = rms(render(3, 0.5), 0.1, 0.5);
+    assert(filtered < 0.5 * plain, `filter ${filtered} vs ${plain}`);
+    assert(filtered > 0.01, "filter silences the note");
+  },
+
+};
+
+for (let name of Object.keys(tests)) {
+  tests[name]();
+  console.log("ok synth " + name);
+}
@@ -0,0 +1,95 @@
+"use strict";
+
+/*
+ * Conformance validation of soundfonts with one planted error
+ * for each group of rules.
+ */
+
+const assert = require("assert");
+
+const sfu = require("../src/index");
+const bank = require("./lib/bank");
+const run = require("./lib/run").run;
+
+// The errors found in the standard bank after applying the changes.
+function errors(change, patch) {
+  const desc = bank.standard();
+  if (change)
+    change(desc);
+  return sfu.validate(bank.build(desc, patch)).then(issues => issues
+    .filter(i => i.severity === "error").map(i => `${i.path}: ${i.message}`));
+}
+
+function expect(change, patch, ...messages) {
+  return errors(change, patch)
+    .then(found => assert.deepStrictEqual(found, messages));
+}
+
+run("validate", {
+
+  clean() {
+    return sfu.validate(bank.build(bank.standard()))
+      .then(issues => assert.deepStrictEqual(issues.map(String), []));
+  },
+
+  headers() {
+    return expect(null, r => {
+      r.phdr[1].wPresetBagNdx = 3;
+    }, 'phdr[1] "Pad": wPresetBagNdx is not monotonic');
+  },
+
+  generatorOrder() {
+    return expect(desc => {
+      desc.instruments[1].zones[0].gens.splice(1, 0, ["keyRange", "0-127"]);
+    }, null, 'inst[1] "Pad": zones[0].gens.keyRange: ' +
+              "keyRange must be the first generator");
+  },
+
+  references() {
+    return expect(desc => {
+      desc.presets[0].zones[0].gens[0][1] = 5;
+    }, null, 'phdr[0] "Sine": zones[0].gens.instrument: ' +
+              "instrument 5 does not exist");
+  },
+
+  presetGenerators() {
+    return expect(desc => {
+      desc.presets[1].zones[0].gens.unshift(["sampleModes", 1]);
+    }, null, 'phdr[1] "Pad": zones[0].gens.sampleModes: ' +
+              "generator not allowed in preset zones");
+  },
+
+  modulators() {
+    return expect(desc => {
+      desc.instruments[0].zones[1].mods = [{
+        sfModSrcOper: 0x0502, sfModDestOper: 0x8003, modAmount: 960,
+        sfModAmtSrcOper: 0, sfModTransOper: 0,
+      }];
+    }, null, 'inst[0] "Sine": zones[1].mods[0]: ' +
+              "destination links to a nonexistent modulator");
+  },
+
+  sampleLinks() {
+    return expect(desc => {
+      desc.samples[2].link = 0;
+    }, null,
+    'shdr[1] "Pad L": wSampleLink: ' +
+      "left sample not linked reciprocally to a right sample",
+    'shdr[2] "Pad R": wSampleLink: ' +
+      "right sample not linked reciprocally to a left sample");
+  },
+
+  sampleBounds() {
+    return expect(null, r => {
+      r.shdr[0].dwEnd = r.shdr[1].dwStart + 10;
+    }, 'shdr[0] "Sine": dwEnd: sample overlaps shdr[1] "Pad L"');
+  },
+
+  loops() {
+    return expect(desc => {
+      desc.samples[0].loopEnd = 1200;
+    }, null, 'shdr[0] "Sine": dwStartloop: ' +
+              "loop points outside of sample bounds");
+  },
+
+});